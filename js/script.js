@@ -123,8 +123,8 @@ async function handleSkyComparisonCardClick(event) {
         return;
     }
     try {
-        const sqmData = await SkyArchiveDataService.fetchAndParseSqm(sqmFileUrl);
-        const medianSqmValue = sqmData && sqmData.medianSqm !== null ? sqmData.medianSqm.toFixed(2) : '';
+        const stats = await SkyArchiveDataService.getSessionStatistics({ sqmFileUrl: sqmFileUrl, latitude: latitude, longitude: longitude });
+        const medianSqmValue = stats && stats.median !== null ? stats.median.toFixed(2) : '';
         viewPanorama(title, date, medianSqmValue, panoramaUrl, sqmFileUrl, latitude, longitude);
     } catch (error) {
         console.error("Error fetching or processing SQM data for sky comparison card:", error);
@@ -140,6 +140,159 @@ function initSkyComparisonCardLinks() {
     });
 }
 
+// --- Darkness Guide (index.html) ---
+// Lists the darkness classes of SkyArchiveDarknessScale; the descriptions
+// keep their map.legend.<id> translation keys.
+function renderDarknessGuide() {
+    const list = document.getElementById('darkness-guide');
+    if (!list || typeof SkyArchiveDarknessScale === 'undefined') return;
+    list.innerHTML = SkyArchiveDarknessScale.CLASSES.map(c => {
+        const outline = c.outline ? ` border: 1px solid ${c.outline};` : '';
+        return `<li><i style="background:${c.color};${outline}">&nbsp;</i> <span style="white-space: nowrap;"><strong>${c.range.replace('<', '&lt;')}:&nbsp;</strong></span><span data-translate-key="map.legend.${c.id}">${c.label} - ${c.description}</span></li>`;
+    }).join('');
+}
+
+// --- Offline Panel (index.html) ---
+function formatBytes(bytes) {
+    if (bytes >= 1e9) return `${(bytes / 1e9).toFixed(1)} GB`;
+    if (bytes >= 1e6) return `${(bytes / 1e6).toFixed(1)} MB`;
+    return `${Math.round(bytes / 1e3)} kB`;
+}
+
+// Lists saved map areas and sessions with remove buttons, and the storage used.
+async function renderOfflineLists() {
+    const regionList = document.getElementById('offline-region-list');
+    const sessionList = document.getElementById('offline-session-list');
+    const storageInfo = document.getElementById('offline-storage');
+
+    regionList.innerHTML = '';
+    const regions = SkyArchiveOfflineService.listSavedRegions();
+    if (regions.length === 0) regionList.innerHTML = '<li>None yet.</li>';
+    regions.forEach(region => {
+        const li = document.createElement('li');
+        li.textContent = `${region.name} (zoom ${region.minZoom}–${region.maxZoom}, ${region.tileCount} tiles) `;
+        const button = document.createElement('button');
+        button.className = 'btn btn-outline';
+        button.innerHTML = '<i class="fas fa-trash"></i> Remove';
+        button.onclick = async () => {
+            await SkyArchiveOfflineService.removeRegion(region.id);
+            renderOfflineLists();
+        };
+        li.appendChild(button);
+        regionList.appendChild(li);
+    });
+
+    sessionList.innerHTML = '';
+    const sessions = SkyArchiveOfflineService.listSavedSessions();
+    if (sessions.length === 0) sessionList.innerHTML = '<li>None yet.</li>';
+    sessions.forEach(session => {
+        const li = document.createElement('li');
+        li.textContent = `${session.title} (${session.date}) `;
+        const button = document.createElement('button');
+        button.className = 'btn btn-outline';
+        button.innerHTML = '<i class="fas fa-trash"></i> Remove';
+        button.onclick = async () => {
+            await SkyArchiveOfflineService.removeSession({ sqmFileUrl: session.key });
+            renderOfflineLists();
+        };
+        li.appendChild(button);
+        sessionList.appendChild(li);
+    });
+
+    const estimate = await SkyArchiveOfflineService.storageEstimate();
+    storageInfo.textContent = estimate ? `Storage used by SkyArchive on this device: ${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} available.` : '';
+}
+
+// Sets up saving map areas and sessions for offline use. Needs the map from SkyArchiveMapService.
+function initOfflinePanel(panoData) {
+    const panel = document.getElementById('offline-panel');
+    const map = typeof SkyArchiveMapService !== 'undefined' ? SkyArchiveMapService.getMap() : null;
+    if (typeof SkyArchiveOfflineService === 'undefined' || !SkyArchiveOfflineService.isSupported() || !map) {
+        panel.querySelectorAll('button, select, input').forEach(control => { control.disabled = true; });
+        document.getElementById('offline-progress').textContent = 'Offline mode is not available in this browser.';
+        return;
+    }
+
+    const layers = SkyArchiveMapService.TILE_LAYERS;
+    const baseSelect = document.getElementById('offline-base-select');
+    const zoomSelect = document.getElementById('offline-zoom-select');
+    const lpCheckbox = document.getElementById('offline-include-lp');
+    const estimateInfo = document.getElementById('offline-region-estimate');
+    const progressInfo = document.getElementById('offline-progress');
+    const sessionSelect = document.getElementById('offline-session-select');
+
+    Object.values(layers).filter(layer => layer.offline && layer.id !== 'lightPollution').forEach(layer => {
+        baseSelect.add(new Option(layer.label, layer.id));
+    });
+    panoData.filter(item => item.panoramaUrl || item.sqmFileUrl).forEach((item, index) => {
+        sessionSelect.add(new Option(`${item.locationName || item.locality} (${item.date})`, index));
+    });
+
+    const selectedLayers = () => [layers[baseSelect.value]].concat(lpCheckbox.checked ? [layers.lightPollution] : []);
+    const visibleBounds = () => {
+        const bounds = map.getBounds();
+        return { north: bounds.getNorth(), south: bounds.getSouth(), east: bounds.getEast(), west: bounds.getWest() };
+    };
+    const updateEstimate = () => {
+        const count = SkyArchiveOfflineService.estimateRegion(selectedLayers(), visibleBounds(), parseInt(zoomSelect.value, 10));
+        const limit = SkyArchiveOfflineService.DEFAULT_OPTIONS.maxTiles;
+        estimateInfo.textContent = count > limit ? `${count} tiles: too many, zoom in or lower the detail (max ${limit}).` : `${count} tiles`;
+    };
+    // Zoom choices start at the current view and go a few levels deeper.
+    const updateZoomChoices = () => {
+        const previous = parseInt(zoomSelect.value, 10);
+        const current = map.getZoom();
+        zoomSelect.innerHTML = '';
+        for (let zoom = current; zoom <= Math.min(current + 4, 16); zoom++) zoomSelect.add(new Option(zoom, zoom));
+        zoomSelect.value = previous >= current && previous <= current + 4 ? previous : Math.min(current + 2, 16);
+        updateEstimate();
+    };
+    map.on('moveend', updateZoomChoices);
+    [baseSelect, zoomSelect, lpCheckbox].forEach(control => control.addEventListener('change', updateEstimate));
+    updateZoomChoices();
+
+    const showProgress = (label) => (done, total) => { progressInfo.textContent = `${label}: ${done} / ${total}`; };
+    const runSaving = async (buttons, task) => {
+        buttons.forEach(button => { button.disabled = true; });
+        try {
+            progressInfo.textContent = await task();
+        } catch (error) {
+            console.error("Error saving for offline use:", error);
+            progressInfo.textContent = error.message;
+        } finally {
+            buttons.forEach(button => { button.disabled = false; });
+            renderOfflineLists();
+        }
+    };
+    const saveButtons = Array.from(panel.querySelectorAll('button'));
+
+    document.getElementById('offline-save-region').onclick = () => runSaving(saveButtons, async () => {
+        const center = map.getCenter();
+        const name = `Area around ${center.lat.toFixed(2)}, ${center.lng.toFixed(2)}`;
+        const result = await SkyArchiveOfflineService.saveRegion(name, selectedLayers(), visibleBounds(), parseInt(zoomSelect.value, 10), showProgress('Saving map tiles'));
+        return `Saved ${result.stored} tiles${result.failed > 0 ? ` (${result.failed} failed)` : ''}.`;
+    });
+
+    document.getElementById('offline-save-visible-sessions').onclick = () => runSaving(saveButtons, async () => {
+        const bounds = map.getBounds();
+        const visible = panoData.filter(item => Number.isFinite(item.latitude) && Number.isFinite(item.longitude) && bounds.contains([item.latitude, item.longitude]));
+        if (visible.length === 0) return 'No sessions in the visible map area.';
+        for (let i = 0; i < visible.length; i++) {
+            await SkyArchiveOfflineService.saveSession(visible[i], showProgress(`Saving session ${i + 1} of ${visible.length}`));
+        }
+        return `Saved ${visible.length} sessions.`;
+    });
+
+    document.getElementById('offline-save-session').onclick = () => runSaving(saveButtons, async () => {
+        const item = panoData.filter(entry => entry.panoramaUrl || entry.sqmFileUrl)[sessionSelect.value];
+        if (!item) return 'Choose a session first.';
+        await SkyArchiveOfflineService.saveSession(item, showProgress('Saving session'));
+        return `Saved ${item.locationName || item.locality} (${item.date}).`;
+    });
+
+    renderOfflineLists();
+}
+
 // --- Main UI Initialization Logic (called by DataService after data is loaded) ---
 function initializeUI(allData) {
     console.log("Initializing UI with all data:", allData);
@@ -165,6 +318,11 @@ function initializeUI(allData) {
         }
     }
 
+    // Initialize the offline panel once the map exists (index.html)
+    if (document.getElementById('offline-panel')) {
+        initOfflinePanel(panoData);
+    }
+
     // Initialize Featured Visualizations (if elements exist)
     if (document.getElementById('featuredSqmHistogram') && document.getElementById('featuredPolarPlotContainer')) {
         console.log("Initializing featured visualizations via VisualizationService...");
@@ -229,17 +387,25 @@ function initFeaturedVisualizations(featuredData) {
         selectElement.appendChild(option);
     });
 
-    const updateVisualizations = () => {
+    const updateVisualizations = async () => {
         const selectedIndex = parseInt(selectElement.value, 10);
         if (!isNaN(selectedIndex) && featuredData[selectedIndex]) {
             const selectedData = featuredData[selectedIndex];
             console.log(`Updating visualizations for: ${selectedData.locationName} using VisualizationService.`);
 
+            // The readings are only downloaded once a location is shown.
+            const sqmResult = await SkyArchiveDataService.fetchAndParseSqm(selectedData.sqmFileUrl, {
+                format: selectedData.sqmFormat,
+                timeZone: selectedData.timeZone,
+                site: { lat: selectedData.latitude, lon: selectedData.longitude }
+            });
+            if (parseInt(selectElement.value, 10) !== selectedIndex) return; // Another location was picked meanwhile.
+
             if (typeof SkyArchiveVisualizationService !== 'undefined') {
-                SkyArchiveVisualizationService.createHistogram(histogramCanvasId, selectedData.allSqmValues);
+                SkyArchiveVisualizationService.createHistogram(histogramCanvasId, sqmResult.allSqmValues);
                 const locationDetails = { name: selectedData.locationName, date: selectedData.date, lat: selectedData.latitude, lon: selectedData.longitude };
                 try {
-                    SkyArchiveVisualizationService.createPolarPlot(polarPlotContainerId, selectedData.polarData, locationDetails);
+                    SkyArchiveVisualizationService.createPolarPlot(polarPlotContainerId, sqmResult.polarData, locationDetails);
                 } catch (error) {
                      console.error("Error creating polar plot via VisualizationService:", error);
                 }
@@ -311,6 +477,11 @@ function displayGlobalErrorMessage(message) {
 document.addEventListener('DOMContentLoaded', function() {
     console.log("DOM Loaded. Main script.js execution starting.");
 
+    // Register the service worker for offline use
+    if (typeof SkyArchiveOfflineService !== 'undefined') {
+        SkyArchiveOfflineService.init();
+    }
+
     // Initialize language switcher dropdown
     const languageDropdown = document.getElementById('languageDropdown');
     if (languageDropdown) {
@@ -322,6 +493,8 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
 
+    renderDarknessGuide();
+
     // Load initial translations and set initial language display
     loadTranslations(currentLanguage);
     updateLanguageSwitcherDisplay(); // Ensure display is correct on load
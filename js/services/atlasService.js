@@ -0,0 +1,150 @@
+// js/services/atlasService.js
+// Reads the modelled sky brightness back out of the World Light Pollution
+// overlay (img/map_overlays/LP_2024) so measurements can be compared with
+// the atlas.
+
+const SkyArchiveAtlasService = (() => {
+
+    // The overlay tiles colour the artificial-to-natural zenith brightness
+    // ratio with the cubehelix colour map (Green 2011, start 0.5, rotations
+    // -1.5): black at `minRatio` or less, white at `maxRatio` or more, and
+    // log-linear in between.
+    const DEFAULT_OPTIONS = {
+        tileUrl: 'img/map_overlays/LP_2024/{z}/{x}/{y}.png', // Same tiles as SkyArchiveMapService.TILE_LAYERS.lightPollution.
+        zoom: 7,                    // Deepest zoom of the tile pyramid (its maxNativeZoom).
+        minRatio: 0.01,             // Ratio drawn black.
+        maxRatio: 100,              // Ratio drawn white.
+        maxColorDistance: 12        // Largest RGB distance from the colour map; other pixels (labels, edges) are not read.
+    };
+
+    const TILE_SIZE = 256;
+    const MAX_LATITUDE = 85.0511287798; // Limit of the Web Mercator tile grid.
+    const RAMP_STEPS = 1000;
+
+    // RGB (0-255) of the colour map at position `t` (0-1).
+    function cubehelix(t) {
+        const phi = 2 * Math.PI * (0.5 / 3 - 1.5 * t);
+        const amplitude = t * (1 - t) / 2;
+        const cos = Math.cos(phi);
+        const sin = Math.sin(phi);
+        return [
+            t + amplitude * (-0.14861 * cos + 1.78277 * sin),
+            t + amplitude * (-0.29227 * cos - 0.90649 * sin),
+            t + amplitude * (1.97294 * cos)
+        ].map(value => Math.round(255 * Math.min(1, Math.max(0, value))));
+    }
+
+    let ramp = null; // [{ t, rgb }], built on first use.
+
+    // Position (0-1) of a pixel colour on the colour map, or null for
+    // transparent pixels and colours that are not on it.
+    function colorPosition(rgba, overrides = {}) {
+        const options = { ...DEFAULT_OPTIONS, ...overrides };
+        if (rgba.length > 3 && rgba[3] === 0) return null;
+        if (!ramp) {
+            ramp = [];
+            for (let i = 0; i <= RAMP_STEPS; i++) ramp.push({ t: i / RAMP_STEPS, rgb: cubehelix(i / RAMP_STEPS) });
+        }
+        let best = null;
+        let bestDistance = Infinity;
+        ramp.forEach(entry => {
+            const distance = Math.hypot(entry.rgb[0] - rgba[0], entry.rgb[1] - rgba[1], entry.rgb[2] - rgba[2]);
+            if (distance < bestDistance) {
+                best = entry;
+                bestDistance = distance;
+            }
+        });
+        return bestDistance <= options.maxColorDistance ? best.t : null;
+    }
+
+    // Modelled sky brightness of a pixel colour: { ratio, sqm, position }, or null.
+    function modelFromColor(rgba, overrides = {}) {
+        const options = { ...DEFAULT_OPTIONS, ...overrides };
+        const position = colorPosition(rgba, options);
+        if (position === null) return null;
+        const logMin = Math.log10(options.minRatio);
+        const ratio = Math.pow(10, logMin + position * (Math.log10(options.maxRatio) - logMin));
+        return {
+            ratio: ratio,
+            sqm: SkyArchivePhotometryService.magnitudeFromRatio(ratio),
+            position: position
+        };
+    }
+
+    // Tile and pixel of a coordinate at `zoom`: { url, px, py }.
+    function tilePixel(latitude, longitude, overrides = {}) {
+        const options = { ...DEFAULT_OPTIONS, ...overrides };
+        const scale = 2 ** options.zoom;
+        const lat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, latitude)) * Math.PI / 180;
+        const fx = (longitude + 180) / 360 * scale;
+        const fy = (1 - Math.log(Math.tan(lat) + 1 / Math.cos(lat)) / Math.PI) / 2 * scale;
+        const x = Math.min(scale - 1, Math.floor(fx));
+        const y = Math.min(scale - 1, Math.floor(fy));
+        return {
+            url: options.tileUrl.replace('{z}', options.zoom).replace('{x}', x).replace('{y}', y),
+            px: Math.min(TILE_SIZE - 1, Math.floor((fx - x) * TILE_SIZE)),
+            py: Math.min(TILE_SIZE - 1, Math.floor((fy - y) * TILE_SIZE))
+        };
+    }
+
+    const tileCache = new Map(); // Tile URL -> Promise of its ImageData (null if missing).
+
+    function loadTile(url) {
+        if (!tileCache.has(url)) {
+            tileCache.set(url, new Promise(resolve => {
+                const image = new Image();
+                image.onload = () => {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = TILE_SIZE;
+                    canvas.height = TILE_SIZE;
+                    const ctx = canvas.getContext('2d');
+                    ctx.drawImage(image, 0, 0, TILE_SIZE, TILE_SIZE);
+                    resolve(ctx.getImageData(0, 0, TILE_SIZE, TILE_SIZE));
+                };
+                // Tiles outside the atlas coverage do not exist.
+                image.onerror = () => resolve(null);
+                image.src = url;
+            }));
+        }
+        return tileCache.get(url);
+    }
+
+    // Modelled sky brightness at a coordinate: { ratio, sqm, position }, or
+    // null where the atlas has no data.
+    async function sampleAt(latitude, longitude, overrides = {}) {
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+        const pixel = tilePixel(latitude, longitude, overrides);
+        try {
+            const tile = await loadTile(pixel.url);
+            if (!tile) return null;
+            const offset = (pixel.py * TILE_SIZE + pixel.px) * 4;
+            return modelFromColor(Array.from(tile.data.slice(offset, offset + 4)), overrides);
+        } catch (error) {
+            console.warn(`AtlasService: could not read ${pixel.url}:`, error);
+            return null;
+        }
+    }
+
+    // Measured minus modelled sky brightness in mag/arcsec². Positive values
+    // mean the sky is darker than the atlas predicts.
+    function residual(measuredSqm, modelledSqm) {
+        const measured = parseFloat(measuredSqm);
+        if (!Number.isFinite(measured) || !Number.isFinite(modelledSqm)) return null;
+        return Math.round((measured - modelledSqm) * 100) / 100;
+    }
+
+    return {
+        DEFAULT_OPTIONS: DEFAULT_OPTIONS,
+        cubehelix: cubehelix,
+        colorPosition: colorPosition,
+        modelFromColor: modelFromColor,
+        tilePixel: tilePixel,
+        sampleAt: sampleAt,
+        residual: residual
+    };
+})();
+
+// Node tools (tools/) load the service as a CommonJS module.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SkyArchiveAtlasService;
+}
@@ -0,0 +1,76 @@
+// js/services/cloudService.js
+// Estimates cloud cover from the TAS infrared sky temperature (T IR) and the
+// ambient sensor temperature (T Sens).
+
+const SkyArchiveCloudService = (() => {
+
+    // A clear sky is radiatively cold: the IR sensor reads well below ambient.
+    // Clouds are close to ambient temperature, so the difference shrinks.
+    const DEFAULT_OPTIONS = {
+        clearZenithDelta: 20.0,     // °C below ambient for a clear zenith.
+        overcastZenithDelta: 5.0,   // °C below ambient for a fully overcast zenith.
+        cloudyThreshold: 0.5,       // Cloudiness at or above which a reading counts as cloudy.
+        minAltitude: 20,            // Lower readings mostly see terrain and haze.
+        altitudeScale: 25           // Degrees; how fast the clear-sky difference grows with altitude.
+    };
+
+    // Fraction of the zenith sky-ambient difference expected at a given altitude
+    // (1 at the zenith). The path through the warm lower atmosphere lengthens
+    // towards the horizon, so the IR sky temperature approaches ambient.
+    function altitudeFactor(alt, options) {
+        const f = deg => 1 - Math.exp(-deg / options.altitudeScale);
+        return f(Math.max(alt, 0)) / f(90);
+    }
+
+    // Estimates cloudiness for one reading.
+    // Returns { delta, cloudiness (0-1), cloudy } or null if the reading has no IR data.
+    function estimateReading(record, overrides = {}) {
+        const options = { ...DEFAULT_OPTIONS, ...overrides };
+        if (record.tempIR === null || record.tempSensor === null || record.alt === null) return null;
+        if (record.alt < options.minAltitude) return null;
+        const delta = record.tempSensor - record.tempIR;
+        const zenithEquivalent = delta / altitudeFactor(record.alt, options);
+        const cloudiness = Math.min(1, Math.max(0,
+            (options.clearZenithDelta - zenithEquivalent) / (options.clearZenithDelta - options.overcastZenithDelta)));
+        return { delta: delta, cloudiness: cloudiness, cloudy: cloudiness >= options.cloudyThreshold };
+    }
+
+    // Returns a label for a session cloud score (0-1).
+    function getCloudLabel(score) {
+        if (score === null || score === undefined) return 'Unknown';
+        if (score < 0.15) return 'Clear';
+        if (score < 0.4) return 'Partly cloudy';
+        if (score < 0.75) return 'Mostly cloudy';
+        return 'Overcast';
+    }
+
+    // Flags every reading with `cloud` (in place; null where no estimate is possible)
+    // and returns the session summary: { score, label, cloudyCount, scoredCount }.
+    function analyzeSession(records, overrides = {}) {
+        let total = 0;
+        let scoredCount = 0;
+        let cloudyCount = 0;
+        records.forEach(record => {
+            record.cloud = estimateReading(record, overrides);
+            if (record.cloud) {
+                scoredCount++;
+                total += record.cloud.cloudiness;
+                if (record.cloud.cloudy) cloudyCount++;
+            }
+        });
+        const score = scoredCount > 0 ? total / scoredCount : null;
+        return { score: score, label: getCloudLabel(score), cloudyCount: cloudyCount, scoredCount: scoredCount };
+    }
+
+    return {
+        DEFAULT_OPTIONS: DEFAULT_OPTIONS,
+        estimateReading: estimateReading,
+        analyzeSession: analyzeSession,
+        getCloudLabel: getCloudLabel
+    };
+})();
+
+// Node tools (tools/) load the service as a CommonJS module.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SkyArchiveCloudService;
+}
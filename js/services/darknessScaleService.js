@@ -0,0 +1,58 @@
+// js/services/darknessScaleService.js
+// The darkness classes used wherever SkyArchive colours sky brightness:
+// map markers and legend, the legend guide on the homepage, gallery badges
+// and histogram bars.
+
+const SkyArchiveDarknessScale = (() => {
+
+    // Darkest first: the lowest SQM (mag/arcsec²) of each class, its colour,
+    // an outline for colours that vanish on dark backgrounds, the range text
+    // and a description. `id` is also the suffix of the class's
+    // `map.legend.<id>` translation key.
+    const CLASSES = [
+        { id: 'class1', label: 'Class 1', min: 21.76, color: '#000000', outline: '#CCCCCC', range: '≥ 21.76', description: 'Excellent Dark Sky Site' },
+        { id: 'class2', label: 'Class 2', min: 21.6, color: '#4D4D4D', range: '21.6–21.75', description: 'Typical Truly Dark Site' },
+        { id: 'class3', label: 'Class 3', min: 21.3, color: '#1F3A75', range: '21.3–21.6', description: 'Rural Sky' },
+        { id: 'class4', label: 'Class 4', min: 20.8, color: '#004EB3', range: '20.8–21.3', description: 'Brighter Rural Sky' },
+        { id: 'class4_5', label: 'Class 4.5', min: 20.3, color: '#2E8A00', range: '20.3–20.8', description: 'Semi-Suburban' },
+        { id: 'class5', label: 'Class 5', min: 19.25, color: '#DADA00', range: '19.25–20.3', description: 'Suburban Sky' },
+        { id: 'class6', label: 'Class 6', min: 18.5, color: '#FF5600', range: '18.5–19.25', description: 'Bright Suburban Sky' },
+        { id: 'class7', label: 'Class 7', min: 18.0, color: '#DF73FF', range: '18.0–18.5', description: 'Suburban/Urban' },
+        { id: 'class8_9', label: 'Class 8/9', min: -Infinity, color: '#E5C9FF', range: '< 18.0', description: 'City / Inner-City Sky' }
+    ];
+
+    // Class of values that are missing or not numbers.
+    const NO_DATA = { id: 'noData', label: 'N/A', color: '#808080', outline: '#FF0000', range: 'N/A', description: 'No Data' };
+
+    // Class of a value in `classes` (ordered by descending `min`), or NO_DATA.
+    // Accepts the "N/A"-or-string medians the pages pass around.
+    function classify(value, classes = CLASSES) {
+        const number = typeof value === 'number' ? value : parseFloat(value);
+        if (!Number.isFinite(number)) return NO_DATA;
+        return classes.find(c => number >= c.min) || NO_DATA;
+    }
+
+    // Fill colour for a sky brightness.
+    function colorFor(value) {
+        return classify(value).color;
+    }
+
+    // Outline colour for a sky brightness: the class outline, else `fallback`.
+    function outlineFor(value, fallback = '#000') {
+        const c = classify(value);
+        return c === NO_DATA ? fallback : (c.outline || fallback);
+    }
+
+    return {
+        CLASSES: CLASSES,
+        NO_DATA: NO_DATA,
+        classify: classify,
+        colorFor: colorFor,
+        outlineFor: outlineFor
+    };
+})();
+
+// Node tools (tools/) load the service as a CommonJS module.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SkyArchiveDarknessScale;
+}
@@ -3,7 +3,18 @@
 
 const SkyArchiveDataService = (() => {
 
-    const sqmCache = {}; // Caches SQM data to avoid redundant fetches.
+    const sqmCache = {}; // Caches SQM data to avoid redundant fetches, keyed by URL and options.
+
+    // Time zone of logs that record local time (TAS, Dark Sky Meter). Every
+    // archived site is on Central European Time; a manifest entry can set its
+    // own `timeZone`.
+    const DEFAULT_LOG_TIME_ZONE = 'Europe/Zurich';
+
+    // Precomputed per-session statistics built by tools/build-stats.js. The
+    // version changes whenever summarizeSession gains or changes fields.
+    const STATISTICS_INDEX_PATH = 'data/sqm_stats.json';
+    const STATISTICS_INDEX_VERSION = 2;
+    let statisticsIndexPromise = null; // Loaded once per page.
 
     // Calculates the median from an array of numbers.
     function calculateMedian(numbers) {
@@ -19,11 +30,158 @@ const SkyArchiveDataService = (() => {
         }
     }
 
-    // Fetches and parses SQM data from a given URL.
-    // Returns an object with medianSqm, allSqmValues, and polarData.
-    async function fetchAndParseSqm(sqmFileUrl) {
-        if (sqmCache[sqmFileUrl]) {
-            return sqmCache[sqmFileUrl];
+    // Calculates the p-th percentile (0-100) of an array of numbers, interpolating between ranks.
+    function calculatePercentile(numbers, p) {
+        if (!numbers || numbers.length === 0) {
+            return null;
+        }
+        const sorted = [...numbers].sort((a, b) => a - b);
+        const rank = (p / 100) * (sorted.length - 1);
+        const lower = Math.floor(rank);
+        const upper = Math.ceil(rank);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+    }
+
+    // Derives the values each page needs from parsed reading records:
+    // the Alt > 45° median, every magnitude, and the readings with a valid
+    // alt/az pointing for polar plots. Readings rejected by quality control
+    // are left out of all three.
+    // Median options: `excludeMoon` and `excludeTwilight` also drop readings
+    // flagged by the ephemeris from the median; `excludeGalacticLatitude`
+    // (degrees) drops readings pointing within that |b| of the galactic plane.
+    function summarizeSqmRecords(records, medianOptions = {}) {
+        const sqmValuesForMedian = [];
+        const allSqmValues = [];
+        const polarData = [];
+        SkyArchiveQualityService.acceptedReadings(records).forEach(record => {
+            allSqmValues.push(record.mag);
+            const hasAlt = record.alt !== null;
+            const hasAzi = record.azi !== null;
+            if (record.time && hasAlt && record.alt >= 0 && record.alt <= 90 && hasAzi && record.azi >= 0 && record.azi <= 360) {
+                polarData.push(record);
+            }
+            const contamination = record.contamination || {};
+            if (medianOptions.excludeMoon && contamination.moon) return;
+            if (medianOptions.excludeTwilight && contamination.twilight) return;
+            if (medianOptions.excludeGalacticLatitude && record.ephemeris && record.ephemeris.galacticLat !== null &&
+                Math.abs(record.ephemeris.galacticLat) < medianOptions.excludeGalacticLatitude) return;
+            if (hasAlt && record.alt > 45) {
+                sqmValuesForMedian.push(record.mag);
+            }
+        });
+        return {
+            medianSqm: calculateMedian(sqmValuesForMedian),
+            allSqmValues: allSqmValues,
+            polarData: polarData
+        };
+    }
+
+    // Parses raw SQM log text in any supported format, flags its readings and summarizes it.
+    // Options: `format` forces a parser adapter (detected by default),
+    // `timeZone` is the IANA zone of local-time logs, `quality` overrides
+    // quality-control thresholds, `cloud` overrides cloud-estimate parameters,
+    // `site` ({ lat, lon }) is the fallback position for the ephemeris,
+    // `ephemeris` overrides contamination thresholds, `lightDomes` overrides
+    // light-dome detection and `median` is passed to summarizeSqmRecords.
+    // Returns metadata and records, one summary per analysis stage
+    // (qcSummary, cloudSummary, ephemerisSummary, lightDomes), and medianSqm,
+    // allSqmValues and polarData.
+    function processSqmText(textData, sourceName = 'data', options = {}) {
+        const { metadata, records } = SkyArchiveSqmParser.parse(textData, sourceName, {
+            format: options.format,
+            timeZone: options.timeZone || DEFAULT_LOG_TIME_ZONE
+        });
+        const qcSummary = SkyArchiveQualityService.flagReadings(records, options.quality);
+        const cloudSummary = SkyArchiveCloudService.analyzeSession(records, options.cloud);
+        const ephemerisSummary = SkyArchiveEphemerisService.annotateReadings(records, options.site, options.ephemeris);
+        const lightDomes = SkyArchiveLightDomeService.analyze(records, options.lightDomes);
+        return {
+            metadata: metadata,
+            records: records,
+            qcSummary: qcSummary,
+            cloudSummary: cloudSummary,
+            ephemerisSummary: ephemerisSummary,
+            lightDomes: lightDomes,
+            ...summarizeSqmRecords(records, options.median)
+        };
+    }
+
+    // Compact statistics of a processed session, as stored in the statistics
+    // index: reading counts, the Alt > 45° median (also without the Milky Way
+    // band), min/max/mean, percentiles, zenith and horizon values (the horizon
+    // median and its brightest reading) and cloud cover. Magnitudes are
+    // rounded to 0.01; missing values are null.
+    function summarizeSession(sqmResult) {
+        const round = value => (value === null || value === undefined || !Number.isFinite(value) ? null : Math.round(value * 100) / 100);
+        const values = sqmResult.allSqmValues;
+        const metrics = SkyArchiveSiteService.sessionMetrics(sqmResult);
+        const medianOutsideMilkyWay = summarizeSqmRecords(sqmResult.records, {
+            excludeGalacticLatitude: SkyArchiveEphemerisService.DEFAULT_OPTIONS.milkyWayHalfWidth
+        }).medianSqm;
+        const siteOptions = SkyArchiveSiteService.DEFAULT_OPTIONS;
+        const horizonValues = SkyArchiveQualityService.acceptedReadings(sqmResult.records)
+            .filter(r => r.alt !== null && r.alt >= siteOptions.horizonMinAltitude && r.alt <= siteOptions.horizonMaxAltitude)
+            .map(r => r.mag);
+        return {
+            count: sqmResult.records.length,
+            accepted: values.length,
+            median: round(sqmResult.medianSqm),
+            medianOutsideMilkyWay: round(medianOutsideMilkyWay),
+            min: values.length > 0 ? round(values.reduce((a, b) => Math.min(a, b))) : null,
+            max: values.length > 0 ? round(values.reduce((a, b) => Math.max(a, b))) : null,
+            mean: values.length > 0 ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : null,
+            p10: round(calculatePercentile(values, 10)),
+            p25: round(calculatePercentile(values, 25)),
+            p75: round(calculatePercentile(values, 75)),
+            p90: round(calculatePercentile(values, 90)),
+            zenith: round(metrics.zenith),
+            horizon: round(metrics.horizon),
+            horizonBrightest: horizonValues.length > 0 ? round(horizonValues.reduce((a, b) => Math.min(a, b))) : null,
+            cloudCover: sqmResult.cloudSummary ? round(sqmResult.cloudSummary.score) : null
+        };
+    }
+
+    // Loads the statistics index ({ sessions: { <sqmFileUrl>: stats } }).
+    // Resolves to an empty index if it is missing, so pages fall back to the logs.
+    function loadStatisticsIndex(indexPath = STATISTICS_INDEX_PATH) {
+        if (!statisticsIndexPromise) {
+            statisticsIndexPromise = fetch(indexPath)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP error! status: ${response.status} for ${indexPath}`);
+                    return response.json();
+                })
+                .then(index => {
+                    if (index.version !== STATISTICS_INDEX_VERSION) throw new Error(`Statistics index version ${index.version} is not ${STATISTICS_INDEX_VERSION}; rebuild it with tools/build-stats.js --write.`);
+                    return index;
+                })
+                .catch(error => {
+                    console.warn("DataService: Statistics index unavailable, SQM logs will be parsed instead.", error);
+                    return { sessions: {} };
+                });
+        }
+        return statisticsIndexPromise;
+    }
+
+    // Statistics of a manifest entry's session (see summarizeSession): from the
+    // index when it has the session, otherwise computed from the raw log.
+    async function getSessionStatistics(item) {
+        const index = await loadStatisticsIndex();
+        const indexed = index.sessions && index.sessions[item.sqmFileUrl];
+        if (indexed) return indexed;
+        const sqmResult = await fetchAndParseSqm(item.sqmFileUrl, {
+            format: item.sqmFormat,
+            timeZone: item.timeZone,
+            site: { lat: item.latitude, lon: item.longitude }
+        });
+        return summarizeSession(sqmResult);
+    }
+
+    // Fetches and parses SQM data from a given URL (see processSqmText for options and result).
+    async function fetchAndParseSqm(sqmFileUrl, options = {}) {
+        // The same log read with another format, time zone or site is another result.
+        const cacheKey = `${sqmFileUrl} ${JSON.stringify(options)}`;
+        if (sqmCache[cacheKey]) {
+            return sqmCache[cacheKey];
         }
         try {
             const response = await fetch(sqmFileUrl);
@@ -31,56 +189,13 @@ const SkyArchiveDataService = (() => {
                 throw new Error(`HTTP error! status: ${response.status} for ${sqmFileUrl}`);
             }
             const textData = await response.text();
-            const lines = textData.split('\n');
-            const sqmValuesForMedian = [];
-            const allSqmValues = [];
-            const polarData = [];
-            let dataStarted = false;
-
-            for (const line of lines) {
-                if (!dataStarted) {
-                    if (!line.trim().startsWith('#') && line.trim().length > 0) {
-                        dataStarted = true;
-                    } else {
-                        continue;
-                    }
-                }
-                if (line.trim().length === 0) continue;
-
-                const columns = line.trim().split(/\s+/);
-                if (columns.length >= 9) {
-                    const time = columns[2];
-                    const mag = parseFloat(columns[5]);
-                    const alt = parseFloat(columns[7]);
-                    const azi = parseFloat(columns[8]);
-
-                    if (!isNaN(mag)) {
-                        allSqmValues.push(mag);
-                        if (time && !isNaN(alt) && alt >= 0 && alt <= 90 && !isNaN(azi) && azi >= 0 && azi <= 360) {
-                             polarData.push({ time, mag, alt, azi });
-                        }
-                        if (!isNaN(alt) && alt > 45) {
-                            sqmValuesForMedian.push(mag);
-                        }
-                    }
-                }
-            }
-
-            let medianSqm = null;
-            if (sqmValuesForMedian.length > 0) {
-                medianSqm = calculateMedian(sqmValuesForMedian);
-            }
-            const processedData = {
-                medianSqm: medianSqm,
-                allSqmValues: allSqmValues,
-                polarData: polarData
-            };
-            sqmCache[sqmFileUrl] = processedData;
+            const processedData = processSqmText(textData, sqmFileUrl, options);
+            sqmCache[cacheKey] = processedData;
             return processedData;
 
         } catch (error) {
             console.error(`Error fetching or parsing SQM file ${sqmFileUrl}:`, error);
-            return { medianSqm: null, allSqmValues: [], polarData: [] }; // Return empty data on error.
+            return { metadata: null, records: [], qcSummary: null, cloudSummary: null, ephemerisSummary: null, lightDomes: null, medianSqm: null, allSqmValues: [], polarData: [] }; // Return empty data on error.
         }
     }
 
@@ -91,7 +206,8 @@ const SkyArchiveDataService = (() => {
         try {
             const [panoManifestResponse, astroManifestResponse] = await Promise.all([
                 fetch(panoManifestPath),
-                fetch(astroManifestPath)
+                fetch(astroManifestPath),
+                loadStatisticsIndex()
             ]);
 
             if (!panoManifestResponse.ok) {
@@ -108,8 +224,10 @@ const SkyArchiveDataService = (() => {
 
             const featuredItemsCount = Math.min(panoManifest.length, MAX_FEATURED_PANORAMAS_CONFIG);
 
+            // Statistics come from the precomputed index; raw logs are only
+            // fetched (fetchAndParseSqm) when a chart needs the readings.
             const processPanoItem = async (item, isFeaturedFlag) => {
-                const sqmResult = await fetchAndParseSqm(item.sqmFileUrl);
+                const stats = await getSessionStatistics(item);
                 let locationName = [item.locality, item.region, item.country].filter(Boolean).join(', ');
                 if (!locationName && item.latitude && item.longitude) {
                     locationName = `Lat: ${item.latitude.toFixed(3)}, Lon: ${item.longitude.toFixed(3)}`;
@@ -118,9 +236,10 @@ const SkyArchiveDataService = (() => {
                 }
                 return {
                     ...item,
-                    medianSqm: sqmResult.medianSqm !== null ? sqmResult.medianSqm.toFixed(2) : "N/A",
-                    allSqmValues: sqmResult.allSqmValues,
-                    polarData: sqmResult.polarData,
+                    medianSqm: stats.median !== null ? stats.median.toFixed(2) : "N/A",
+                    medianSqmOutsideMilkyWay: stats.medianOutsideMilkyWay !== null ? stats.medianOutsideMilkyWay.toFixed(2) : null,
+                    sqmStats: stats,
+                    cloudCover: stats.cloudCover,
                     locationName: locationName,
                     isFeatured: isFeaturedFlag
                 };
@@ -132,6 +251,10 @@ const SkyArchiveDataService = (() => {
             const featuredPanoData = await Promise.all(featuredPanoProcessingPromises);
             const remainingPanoData = await Promise.all(remainingPanoProcessingPromises);
             const processedPanoData = [...featuredPanoData, ...remainingPanoData];
+            // Revisits of the same spot share a siteId; the count lets pages link to the site history.
+            SkyArchiveSiteService.groupSessions(processedPanoData).forEach(site => {
+                site.sessions.forEach(item => { item.siteSessionCount = site.sessions.length; });
+            });
 
             const processedAstroData = astroManifest;
 
@@ -159,9 +282,21 @@ const SkyArchiveDataService = (() => {
 
     // Expose public functions
     return {
+        STATISTICS_INDEX_VERSION: STATISTICS_INDEX_VERSION,
         fetchAndParseSqm: fetchAndParseSqm,
+        processSqmText: processSqmText,
+        summarizeSqmRecords: summarizeSqmRecords,
+        summarizeSession: summarizeSession,
+        loadStatisticsIndex: loadStatisticsIndex,
+        getSessionStatistics: getSessionStatistics,
         loadAndProcessData: loadAndProcessData,
-        calculateMedian: calculateMedian
+        calculateMedian: calculateMedian,
+        calculatePercentile: calculatePercentile
     };
 
 })();
+
+// Node tools (tools/) load the service as a CommonJS module.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SkyArchiveDataService;
+}
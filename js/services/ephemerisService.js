@@ -0,0 +1,277 @@
+// js/services/ephemerisService.js
+// Low-precision sun and moon ephemeris (about 1° for the moon) computed
+// locally, galactic coordinates of each pointing, and per-reading twilight
+// and moonlight contamination flags.
+
+const SkyArchiveEphemerisService = (() => {
+
+    const RAD = Math.PI / 180;
+    const J2000 = 2451545.0;
+    const OBLIQUITY = 23.4397 * RAD;
+    const SUN_DISTANCE_KM = 149598000;
+    const EARTH_RADIUS_KM = 6378.14;
+
+    // J2000 orientation of the galactic frame.
+    const GALACTIC_POLE_RA = 192.85948 * RAD;
+    const GALACTIC_POLE_DEC = 27.12825 * RAD;
+    const GALACTIC_NCP_LON = 122.93192 * RAD;
+
+    // Defaults for contamination flags.
+    const DEFAULT_OPTIONS = {
+        twilightSunAltitude: -18,   // Sun above this altitude: astronomical twilight or brighter.
+        moonMaxAltitude: 0,         // Moon above this altitude brightens the whole sky...
+        moonMinIllumination: 0.1,   // ...if at least this fraction of it is lit.
+        moonMinSeparation: 30,      // Pointings closer than this to a risen moon are always flagged.
+        milkyWayHalfWidth: 15       // |b| below this counts as looking into the Milky Way band.
+    };
+
+    // Days since J2000.0 for a Date.
+    function daysSinceJ2000(date) {
+        return date.getTime() / 86400000 + 2440587.5 - J2000;
+    }
+
+    // Right ascension and declination (radians) from ecliptic longitude and latitude.
+    function eclipticToEquatorial(lon, lat) {
+        return {
+            ra: Math.atan2(Math.sin(lon) * Math.cos(OBLIQUITY) - Math.tan(lat) * Math.sin(OBLIQUITY), Math.cos(lon)),
+            dec: Math.asin(Math.sin(lat) * Math.cos(OBLIQUITY) + Math.cos(lat) * Math.sin(OBLIQUITY) * Math.sin(lon))
+        };
+    }
+
+    // Apparent equatorial coordinates of the sun.
+    function sunCoordinates(d) {
+        const meanAnomaly = (357.5291 + 0.98560028 * d) * RAD;
+        const center = (1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) + 0.0003 * Math.sin(3 * meanAnomaly)) * RAD;
+        const eclipticLon = meanAnomaly + center + 102.9372 * RAD + Math.PI;
+        return eclipticToEquatorial(eclipticLon, 0);
+    }
+
+    // Equatorial coordinates and distance (km) of the moon.
+    function moonCoordinates(d) {
+        const meanLon = (218.316 + 13.176396 * d) * RAD;
+        const meanAnomaly = (134.963 + 13.064993 * d) * RAD;
+        const meanDistance = (93.272 + 13.229350 * d) * RAD;
+        const lon = meanLon + 6.289 * RAD * Math.sin(meanAnomaly);
+        const lat = 5.128 * RAD * Math.sin(meanDistance);
+        return { ...eclipticToEquatorial(lon, lat), dist: 385001 - 20905 * Math.cos(meanAnomaly) };
+    }
+
+    // Local sidereal time in radians.
+    function siderealTime(d, lon) {
+        return (280.16 + 360.9856235 * d) * RAD + lon * RAD;
+    }
+
+    // Altitude and azimuth (degrees, azimuth from north through east) of an
+    // equatorial position seen from lat/lon (degrees).
+    function toHorizontal(coords, d, lat, lon) {
+        const phi = lat * RAD;
+        const hourAngle = siderealTime(d, lon) - coords.ra;
+        const alt = Math.asin(Math.sin(phi) * Math.sin(coords.dec) + Math.cos(phi) * Math.cos(coords.dec) * Math.cos(hourAngle));
+        const az = Math.atan2(Math.sin(hourAngle), Math.cos(hourAngle) * Math.sin(phi) - Math.tan(coords.dec) * Math.cos(phi)) + Math.PI;
+        return { alt: alt / RAD, az: ((az / RAD) % 360 + 360) % 360 };
+    }
+
+    // Equatorial coordinates (radians) of an alt/az direction (degrees); the inverse of toHorizontal.
+    function toEquatorial(alt, az, d, lat, lon) {
+        const phi = lat * RAD;
+        const h = alt * RAD;
+        const a = az * RAD - Math.PI; // Measured from south, as toHorizontal works internally.
+        const dec = Math.asin(Math.sin(phi) * Math.sin(h) - Math.cos(phi) * Math.cos(h) * Math.cos(a));
+        const hourAngle = Math.atan2(Math.sin(a), Math.cos(a) * Math.sin(phi) + Math.tan(h) * Math.cos(phi));
+        return { ra: siderealTime(d, lon) - hourAngle, dec: dec };
+    }
+
+    // Galactic longitude and latitude (degrees) of an equatorial position (radians).
+    function equatorialToGalactic(coords) {
+        const sinB = Math.sin(coords.dec) * Math.sin(GALACTIC_POLE_DEC) +
+            Math.cos(coords.dec) * Math.cos(GALACTIC_POLE_DEC) * Math.cos(coords.ra - GALACTIC_POLE_RA);
+        const l = GALACTIC_NCP_LON - Math.atan2(Math.cos(coords.dec) * Math.sin(coords.ra - GALACTIC_POLE_RA),
+            Math.sin(coords.dec) * Math.cos(GALACTIC_POLE_DEC) - Math.cos(coords.dec) * Math.sin(GALACTIC_POLE_DEC) * Math.cos(coords.ra - GALACTIC_POLE_RA));
+        return { l: ((l / RAD) % 360 + 360) % 360, b: Math.asin(Math.max(-1, Math.min(1, sinB))) / RAD };
+    }
+
+    // Equatorial coordinates (radians) of a galactic position (degrees).
+    function galacticToEquatorial(l, b) {
+        const bRad = b * RAD;
+        const dl = GALACTIC_NCP_LON - l * RAD;
+        const dec = Math.asin(Math.sin(bRad) * Math.sin(GALACTIC_POLE_DEC) + Math.cos(bRad) * Math.cos(GALACTIC_POLE_DEC) * Math.cos(dl));
+        const ra = GALACTIC_POLE_RA + Math.atan2(Math.cos(bRad) * Math.sin(dl),
+            Math.sin(bRad) * Math.cos(GALACTIC_POLE_DEC) - Math.cos(bRad) * Math.sin(GALACTIC_POLE_DEC) * Math.cos(dl));
+        return { ra: ra, dec: dec };
+    }
+
+    // Galactic longitude/latitude in degrees of the sky direction alt/az seen from lat/lon at `date`.
+    function galacticPosition(date, lat, lon, alt, az) {
+        const d = daysSinceJ2000(date);
+        return equatorialToGalactic(toEquatorial(alt, az, d, lat, lon));
+    }
+
+    // Outline of the Milky Way band as seen from lat/lon at `date`: the
+    // galactic equator and the lines at ±halfWidth, each an array of
+    // above-horizon runs of { alt, az } points (degrees).
+    function milkyWayBand(date, lat, lon, halfWidth = DEFAULT_OPTIONS.milkyWayHalfWidth) {
+        const d = daysSinceJ2000(date);
+        const traceLatitude = b => {
+            const runs = [];
+            let run = [];
+            for (let l = 0; l <= 360; l += 2) {
+                const position = toHorizontal(galacticToEquatorial(l, b), d, lat, lon);
+                if (position.alt >= 0) {
+                    run.push(position);
+                } else if (run.length > 0) {
+                    runs.push(run);
+                    run = [];
+                }
+            }
+            const startsAboveHorizon = runs.length > 0 && runs[0].length > 0 && run.length > 0;
+            if (run.length > 0) runs.push(run);
+            // A run ending at l = 360 continues the one that started at l = 0.
+            if (startsAboveHorizon && toHorizontal(galacticToEquatorial(0, b), d, lat, lon).alt >= 0) {
+                runs[0] = runs.pop().concat(runs[0]);
+            }
+            return runs;
+        };
+        return {
+            center: traceLatitude(0),
+            north: traceLatitude(halfWidth),
+            south: traceLatitude(-halfWidth)
+        };
+    }
+
+    // Sun altitude/azimuth in degrees.
+    function sunPosition(date, lat, lon) {
+        const d = daysSinceJ2000(date);
+        return toHorizontal(sunCoordinates(d), d, lat, lon);
+    }
+
+    // Moon altitude/azimuth in degrees, corrected for parallax, plus distance in km.
+    function moonPosition(date, lat, lon) {
+        const d = daysSinceJ2000(date);
+        const coords = moonCoordinates(d);
+        const position = toHorizontal(coords, d, lat, lon);
+        const parallax = Math.asin(EARTH_RADIUS_KM / coords.dist) * Math.cos(position.alt * RAD) / RAD;
+        return { alt: position.alt - parallax, az: position.az, dist: coords.dist };
+    }
+
+    // Moon illumination: lit `fraction` (0-1) and `phase` (0 new, 0.25 first
+    // quarter, 0.5 full, 0.75 last quarter).
+    function moonIllumination(date) {
+        const d = daysSinceJ2000(date);
+        const sun = sunCoordinates(d);
+        const moon = moonCoordinates(d);
+        const elongation = Math.acos(Math.sin(sun.dec) * Math.sin(moon.dec) + Math.cos(sun.dec) * Math.cos(moon.dec) * Math.cos(sun.ra - moon.ra));
+        const incidence = Math.atan2(SUN_DISTANCE_KM * Math.sin(elongation), moon.dist - SUN_DISTANCE_KM * Math.cos(elongation));
+        const angle = Math.atan2(Math.cos(sun.dec) * Math.sin(sun.ra - moon.ra),
+            Math.sin(sun.dec) * Math.cos(moon.dec) - Math.cos(sun.dec) * Math.sin(moon.dec) * Math.cos(sun.ra - moon.ra));
+        return {
+            fraction: (1 + Math.cos(incidence)) / 2,
+            phase: 0.5 + 0.5 * incidence * (angle < 0 ? -1 : 1) / Math.PI
+        };
+    }
+
+    // Returns the name of a moon phase value (see moonIllumination).
+    function getMoonPhaseName(phase) {
+        const names = ['New moon', 'Waxing crescent', 'First quarter', 'Waxing gibbous', 'Full moon', 'Waning gibbous', 'Last quarter', 'Waning crescent'];
+        return names[Math.round(phase * 8) % 8];
+    }
+
+    // Angular separation in degrees between two alt/az directions.
+    function angularSeparation(alt1, az1, alt2, az2) {
+        const cosSep = Math.sin(alt1 * RAD) * Math.sin(alt2 * RAD) + Math.cos(alt1 * RAD) * Math.cos(alt2 * RAD) * Math.cos((az1 - az2) * RAD);
+        return Math.acos(Math.min(1, Math.max(-1, cosSep))) / RAD;
+    }
+
+    // Whether a reading has a usable GPS fix: loggers write 0,0 without a
+    // fix, and fixes flagged as GPS jumps by the quality check are unreliable.
+    function hasGpsFix(record) {
+        if (!Number.isFinite(record.lat) || !Number.isFinite(record.lon)) return false;
+        if (record.lat === 0 && record.lon === 0) return false;
+        return !(record.qc && record.qc.reasons.includes('gpsJump'));
+    }
+
+    // Sun and moon circumstances for one reading, or null without a timestamp
+    // or position. Uses the reading's own GPS fix, falling back to `site`.
+    function computeForReading(record, site = {}) {
+        const fix = hasGpsFix(record);
+        const lat = fix ? record.lat : site.lat;
+        const lon = fix ? record.lon : site.lon;
+        if (!record.timestamp || !Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+        const sun = sunPosition(record.timestamp, lat, lon);
+        const moon = moonPosition(record.timestamp, lat, lon);
+        const illumination = moonIllumination(record.timestamp);
+        const hasPointing = record.alt !== null && record.azi !== null;
+        const galactic = hasPointing ? galacticPosition(record.timestamp, lat, lon, record.alt, record.azi) : null;
+        return {
+            sunAlt: sun.alt,
+            moonAlt: moon.alt,
+            moonAz: moon.az,
+            moonIllumination: illumination.fraction,
+            moonPhase: illumination.phase,
+            moonSeparation: hasPointing ? angularSeparation(record.alt, record.azi, moon.alt, moon.az) : null,
+            galacticLon: galactic ? galactic.l : null,
+            galacticLat: galactic ? galactic.b : null
+        };
+    }
+
+    // Twilight, moonlight and Milky Way flags for a reading's ephemeris.
+    function contaminationFor(ephemeris, options) {
+        if (!ephemeris) return { twilight: false, moon: false, milkyWay: false };
+        const moonUp = ephemeris.moonAlt > options.moonMaxAltitude;
+        const moonBright = moonUp && ephemeris.moonIllumination >= options.moonMinIllumination;
+        const moonClose = moonUp && ephemeris.moonSeparation !== null && ephemeris.moonSeparation < options.moonMinSeparation;
+        return {
+            twilight: ephemeris.sunAlt > options.twilightSunAltitude,
+            moon: moonBright || moonClose,
+            milkyWay: ephemeris.galacticLat !== null && Math.abs(ephemeris.galacticLat) < options.milkyWayHalfWidth
+        };
+    }
+
+    // Adds `ephemeris` and `contamination: { twilight, moon, milkyWay }` to every reading
+    // (in place) and returns a session summary. Moon phase and position in the
+    // summary are taken at the first reading.
+    function annotateReadings(records, site = {}, overrides = {}) {
+        const options = { ...DEFAULT_OPTIONS, ...overrides };
+        const summary = { computed: 0, twilightCount: 0, moonCount: 0, milkyWayCount: 0, sunAltMin: null, sunAltMax: null, moonAltMin: null, moonAltMax: null, moonIllumination: null, moonPhase: null, moonPhaseName: null, moonAlt: null, moonAz: null };
+        records.forEach(record => {
+            record.ephemeris = computeForReading(record, site);
+            record.contamination = contaminationFor(record.ephemeris, options);
+            if (!record.ephemeris) return;
+            const e = record.ephemeris;
+            summary.computed++;
+            if (record.contamination.twilight) summary.twilightCount++;
+            if (record.contamination.moon) summary.moonCount++;
+            if (record.contamination.milkyWay) summary.milkyWayCount++;
+            summary.sunAltMin = summary.sunAltMin === null ? e.sunAlt : Math.min(summary.sunAltMin, e.sunAlt);
+            summary.sunAltMax = summary.sunAltMax === null ? e.sunAlt : Math.max(summary.sunAltMax, e.sunAlt);
+            summary.moonAltMin = summary.moonAltMin === null ? e.moonAlt : Math.min(summary.moonAltMin, e.moonAlt);
+            summary.moonAltMax = summary.moonAltMax === null ? e.moonAlt : Math.max(summary.moonAltMax, e.moonAlt);
+        });
+        const first = records.find(r => r.ephemeris);
+        if (first) {
+            summary.moonIllumination = first.ephemeris.moonIllumination;
+            summary.moonPhase = first.ephemeris.moonPhase;
+            summary.moonPhaseName = getMoonPhaseName(first.ephemeris.moonPhase);
+            summary.moonAlt = first.ephemeris.moonAlt;
+            summary.moonAz = first.ephemeris.moonAz;
+        }
+        return summary;
+    }
+
+    return {
+        DEFAULT_OPTIONS: DEFAULT_OPTIONS,
+        sunPosition: sunPosition,
+        moonPosition: moonPosition,
+        moonIllumination: moonIllumination,
+        getMoonPhaseName: getMoonPhaseName,
+        angularSeparation: angularSeparation,
+        galacticPosition: galacticPosition,
+        milkyWayBand: milkyWayBand,
+        computeForReading: computeForReading,
+        annotateReadings: annotateReadings
+    };
+})();
+
+// Node tools (tools/) load the service as a CommonJS module.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SkyArchiveEphemerisService;
+}
@@ -0,0 +1,412 @@
+// js/services/exportService.js
+// Turns a processed SQM session into downloadable files (CSV, JSON, GeoJSON,
+// statistics), exports map observation points as GeoJSON or KML and saves
+// histogram and polar plot renderings as PNG or SVG.
+
+const SkyArchiveExportService = (() => {
+
+    const DEFAULT_OPTIONS = {
+        background: '#121212',      // Fill behind exported images; the charts are drawn for a dark page.
+        fontFamily: 'Arial, sans-serif',
+        pngScale: 2                 // Pixel ratio of PNG renderings of SVG plots.
+    };
+
+    // Reading fields written to CSV, in column order. Derived values
+    // (cloud, ephemeris) follow under their own column names.
+    const READING_FIELDS = ['index', 'scan', 'date', 'time', 'timestamp', 'mag', 'alt', 'azi', 'tempIR', 'tempSensor', 'hz', 'lat', 'lon', 'elevation', 'battery'];
+    const DERIVED_FIELDS = {
+        cloudiness: r => (r.cloud ? r.cloud.cloudiness : null),
+        sunAlt: r => (r.ephemeris ? r.ephemeris.sunAlt : null),
+        moonAlt: r => (r.ephemeris ? r.ephemeris.moonAlt : null),
+        moonSeparation: r => (r.ephemeris ? r.ephemeris.moonSeparation : null),
+        galacticLat: r => (r.ephemeris ? r.ephemeris.galacticLat : null),
+        contamination: r => (r.contamination ? Object.keys(r.contamination).filter(key => r.contamination[key]).join('|') || null : null)
+    };
+
+    // Site metadata for citing an export: the manifest entry (camera, date,
+    // coordinates, ...) merged with what the log header says about the instrument.
+    // `entry` may be null when the session is not in the manifest.
+    function siteMetadata(entry, sqmResult, fallback = {}) {
+        const site = entry || {};
+        const header = (sqmResult && sqmResult.metadata) || {};
+        return {
+            location: [site.locality, site.region, site.country].filter(Boolean).join(', ') || fallback.location || null,
+            identifier: site.exactIdentifier ? `${site.exactIdentifier}_${site.panoNum || ''}`.replace(/_$/, '') : null,
+            date: site.date || fallback.date || null,
+            latitude: Number.isFinite(site.latitude) ? site.latitude : (parseFloat(fallback.lat) || null),
+            longitude: Number.isFinite(site.longitude) ? site.longitude : (parseFloat(fallback.lon) || null),
+            camera: site.camera || null,
+            lens: site.lens || null,
+            fStop: site.fStop || null,
+            exposure: site.exposure || null,
+            iso: site.iso || null,
+            instrument: header.deviceModel || null,
+            logFormat: header.format || null,
+            sqmFile: site.sqmFileUrl || fallback.sqmFile || null,
+            exportedAt: new Date().toISOString()
+        };
+    }
+
+    // Readings that passed quality control.
+    function exportedReadings(sqmResult) {
+        return SkyArchiveQualityService.acceptedReadings(sqmResult.records);
+    }
+
+    // Flat CSV row object of one reading.
+    function readingRow(record) {
+        const row = {};
+        READING_FIELDS.forEach(field => {
+            const value = record[field];
+            row[field] = value instanceof Date ? value.toISOString() : (value === undefined ? null : value);
+        });
+        Object.keys(DERIVED_FIELDS).forEach(field => { row[field] = DERIVED_FIELDS[field](record); });
+        return row;
+    }
+
+    // Quotes a CSV cell when needed.
+    function csvCell(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // CSV of the accepted readings, preceded by "# key: value" metadata lines.
+    function readingsToCsv(sqmResult, metadata) {
+        const rows = exportedReadings(sqmResult).map(readingRow);
+        const columns = READING_FIELDS.concat(Object.keys(DERIVED_FIELDS));
+        const lines = Object.keys(metadata)
+            .filter(key => metadata[key] !== null)
+            .map(key => `# ${key}: ${metadata[key]}`);
+        lines.push(columns.join(','));
+        rows.forEach(row => lines.push(columns.map(column => csvCell(row[column])).join(',')));
+        return lines.join('\n') + '\n';
+    }
+
+    // JSON document with metadata, statistics and the accepted readings.
+    function readingsToJson(sqmResult, metadata) {
+        return JSON.stringify({
+            metadata: metadata,
+            statistics: sessionStatistics(sqmResult),
+            readings: exportedReadings(sqmResult).map(readingRow)
+        }, null, 2);
+    }
+
+    // GeoJSON FeatureCollection with one point per accepted reading, placed at
+    // the reading's GPS position (or the site's) and carrying its pointing as
+    // alt/az properties. Site metadata goes in the collection's `metadata` member.
+    function readingsToGeoJson(sqmResult, metadata) {
+        const features = exportedReadings(sqmResult).map(record => {
+            const lat = record.lat !== null && record.lat !== undefined ? record.lat : metadata.latitude;
+            const lon = record.lon !== null && record.lon !== undefined ? record.lon : metadata.longitude;
+            if (lat === null || lon === null) return null;
+            const coordinates = record.elevation !== null && record.elevation !== undefined ? [lon, lat, record.elevation] : [lon, lat];
+            return {
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: coordinates },
+                properties: readingRow(record)
+            };
+        }).filter(Boolean);
+        return JSON.stringify({ type: 'FeatureCollection', metadata: metadata, features: features }, null, 2);
+    }
+
+    // Summary statistics of a session: reading counts, SQM distribution,
+    // zenith/horizon values, photometry of the median and the session summaries.
+    function sessionStatistics(sqmResult) {
+        const values = sqmResult.allSqmValues;
+        const percentile = p => SkyArchiveDataService.calculatePercentile(values, p);
+        const metrics = SkyArchiveSiteService.sessionMetrics(sqmResult);
+        return {
+            readingCount: sqmResult.records.length,
+            acceptedCount: exportedReadings(sqmResult).length,
+            medianSqm: sqmResult.medianSqm,
+            zenithSqm: metrics.zenith,
+            horizonSqm: metrics.horizon,
+            min: values.length > 0 ? values.reduce((a, b) => Math.min(a, b)) : null,
+            max: values.length > 0 ? values.reduce((a, b) => Math.max(a, b)) : null,
+            mean: values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null,
+            percentiles: { p10: percentile(10), p25: percentile(25), p50: percentile(50), p75: percentile(75), p90: percentile(90) },
+            photometry: SkyArchivePhotometryService.describe(sqmResult.medianSqm),
+            quality: sqmResult.qcSummary,
+            cloud: sqmResult.cloudSummary,
+            ephemeris: sqmResult.ephemerisSummary,
+            lightDomes: sqmResult.lightDomes ? { background: sqmResult.lightDomes.background, domes: sqmResult.lightDomes.domes } : null
+        };
+    }
+
+    // Statistics summary document with site metadata.
+    function statisticsToJson(sqmResult, metadata) {
+        return JSON.stringify({ metadata: metadata, statistics: sessionStatistics(sqmResult) }, null, 2);
+    }
+
+    // Absolute URL of a site-relative path, so exported links work outside the site.
+    function absoluteUrl(path) {
+        if (!path) return null;
+        try {
+            return new URL(path, document.baseURI).href;
+        } catch (error) {
+            return path;
+        }
+    }
+
+    // Flat properties of an observation point (a processed manifest entry):
+    // its place, session, medians and statistics, camera and links.
+    function observationProperties(item) {
+        const stats = item.sqmStats || {};
+        const number = value => (Number.isFinite(parseFloat(value)) ? parseFloat(value) : null);
+        return {
+            name: item.locationName || item.locality || null,
+            identifier: item.exactIdentifier ? `${item.exactIdentifier}_${item.panoNum || ''}`.replace(/_$/, '') : null,
+            date: item.date || null,
+            country: item.country || null,
+            region: item.region || null,
+            locality: item.locality || null,
+            medianSqm: number(item.medianSqm),
+            medianSqmOutsideMilkyWay: number(item.medianSqmOutsideMilkyWay),
+            darknessClass: SkyArchiveDarknessScale.classify(item.medianSqm).label,
+            zenithSqm: number(stats.zenith),
+            horizonSqm: number(stats.horizon),
+            darkestSqm: number(stats.max),
+            brightestSqm: number(stats.min),
+            readingCount: number(stats.count),
+            cloudCover: number(stats.cloudCover),
+            camera: item.camera || null,
+            lens: item.lens || null,
+            fStop: item.fStop || null,
+            exposure: item.exposure || null,
+            iso: item.iso || null,
+            siteId: item.siteId || null,
+            panoramaUrl: absoluteUrl(item.panoramaUrl),
+            sqmFileUrl: absoluteUrl(item.sqmFileUrl)
+        };
+    }
+
+    // GeoJSON FeatureCollection with one point per observation (items with
+    // coordinates). `metadata` goes in the collection's `metadata` member.
+    function observationsToGeoJson(items, metadata = {}) {
+        const features = items
+            .filter(item => Number.isFinite(item.latitude) && Number.isFinite(item.longitude))
+            .map(item => ({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [item.longitude, item.latitude] },
+                properties: observationProperties(item)
+            }));
+        return JSON.stringify({ type: 'FeatureCollection', metadata: metadata, features: features }, null, 2);
+    }
+
+    // KML colour (aabbggrr) of a "#RRGGBB" colour.
+    function kmlColor(hex, alpha = 'ff') {
+        const rgb = hex.replace('#', '');
+        return (alpha + rgb.slice(4, 6) + rgb.slice(2, 4) + rgb.slice(0, 2)).toLowerCase();
+    }
+
+    // KML document with one placemark per observation, styled in its darkness
+    // class colour and carrying the observation properties as ExtendedData.
+    function observationsToKml(items, metadata = {}) {
+        const classes = SkyArchiveDarknessScale.CLASSES.concat([SkyArchiveDarknessScale.NO_DATA]);
+        const styles = classes.map(c =>
+            `    <Style id="${c.id}"><IconStyle><color>${kmlColor(c.color)}</color><Icon><href>https://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon></IconStyle></Style>`);
+        const placemarks = items
+            .filter(item => Number.isFinite(item.latitude) && Number.isFinite(item.longitude))
+            .map(item => {
+                const properties = observationProperties(item);
+                const data = Object.keys(properties)
+                    .filter(key => properties[key] !== null)
+                    .map(key => `        <Data name="${key}"><value>${escapeXml(properties[key])}</value></Data>`);
+                const median = properties.medianSqm !== null ? `${properties.medianSqm.toFixed(2)} mag/arcsec² (${properties.darknessClass})` : 'No SQM median';
+                return [
+                    '    <Placemark>',
+                    `      <name>${escapeXml(properties.name || properties.identifier || 'Observation')}</name>`,
+                    `      <description>${escapeXml(`${properties.date || 'Unknown date'}: ${median}`)}</description>`,
+                    properties.date ? `      <TimeStamp><when>${escapeXml(properties.date)}</when></TimeStamp>` : null,
+                    `      <styleUrl>#${SkyArchiveDarknessScale.classify(item.medianSqm).id}</styleUrl>`,
+                    '      <ExtendedData>',
+                    ...data,
+                    '      </ExtendedData>',
+                    `      <Point><coordinates>${item.longitude},${item.latitude}</coordinates></Point>`,
+                    '    </Placemark>'
+                ].filter(line => line !== null).join('\n');
+            });
+        const description = Object.keys(metadata)
+            .filter(key => metadata[key] !== null && metadata[key] !== undefined)
+            .map(key => `${key}: ${metadata[key]}`).join('\n');
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2">',
+            '  <Document>',
+            `    <name>${escapeXml(metadata.title || 'SkyArchive observation points')}</name>`,
+            description ? `    <description>${escapeXml(description)}</description>` : null,
+            ...styles,
+            ...placemarks,
+            '  </Document>',
+            '</kml>'
+        ].filter(line => line !== null).join('\n') + '\n';
+    }
+
+    // Saves a Blob under a file name through a temporary link.
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // Saves text content under a file name.
+    function downloadText(text, filename, mimeType = 'text/plain') {
+        downloadBlob(new Blob([text], { type: `${mimeType};charset=utf-8` }), filename);
+    }
+
+    // Escapes text for use in SVG markup.
+    function escapeXml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    // Standalone SVG markup of a Chart.js bar chart, rebuilt from the chart's
+    // laid-out bars and scales so it stays vector. Returns null without a chart.
+    function chartToSvg(canvasId, overrides = {}) {
+        const options = { ...DEFAULT_OPTIONS, ...overrides };
+        const chart = typeof Chart !== 'undefined' ? Chart.getChart(canvasId) : null;
+        if (!chart) {
+            console.error(`ExportService: No chart found on canvas ${canvasId}.`);
+            return null;
+        }
+        const width = chart.width;
+        const height = chart.height;
+        const parts = [`<rect width="${width}" height="${height}" fill="${options.background}"/>`];
+        const area = chart.chartArea;
+
+        chart.data.datasets.forEach((dataset, datasetIndex) => {
+            const meta = chart.getDatasetMeta(datasetIndex);
+            if (meta.hidden) return;
+            meta.data.forEach((bar, index) => {
+                const fill = Array.isArray(dataset.backgroundColor) ? dataset.backgroundColor[index] : dataset.backgroundColor;
+                const stroke = Array.isArray(dataset.borderColor) ? dataset.borderColor[index] : dataset.borderColor;
+                const top = Math.min(bar.y, bar.base);
+                parts.push(`<rect x="${bar.x - bar.width / 2}" y="${top}" width="${bar.width}" height="${Math.abs(bar.base - bar.y)}" fill="${fill || '#4FC3F7'}"${stroke ? ` stroke="${stroke}" stroke-width="${dataset.borderWidth || 1}"` : ''}/>`);
+            });
+        });
+
+        // Axes with their tick labels and titles.
+        const textStyle = `fill="#a0a0a0" font-family="${options.fontFamily}" font-size="11"`;
+        Object.values(chart.scales).forEach(scale => {
+            const horizontal = scale.isHorizontal();
+            parts.push(horizontal
+                ? `<line x1="${area.left}" y1="${area.bottom}" x2="${area.right}" y2="${area.bottom}" stroke="#666"/>`
+                : `<line x1="${area.left}" y1="${area.top}" x2="${area.left}" y2="${area.bottom}" stroke="#666"/>`);
+            scale.ticks.forEach((tick, index) => {
+                const position = scale.getPixelForTick(index);
+                const label = escapeXml(Array.isArray(tick.label) ? tick.label.join(' ') : tick.label);
+                parts.push(horizontal
+                    ? `<text x="${position}" y="${area.bottom + 14}" text-anchor="end" transform="rotate(-45 ${position} ${area.bottom + 14})" ${textStyle}>${label}</text>`
+                    : `<text x="${area.left - 6}" y="${position + 4}" text-anchor="end" ${textStyle}>${label}</text>`);
+            });
+            const title = scale.options.title;
+            if (title && title.display && title.text) {
+                parts.push(horizontal
+                    ? `<text x="${(area.left + area.right) / 2}" y="${height - 4}" text-anchor="middle" ${textStyle}>${escapeXml(title.text)}</text>`
+                    : `<text x="12" y="${(area.top + area.bottom) / 2}" text-anchor="middle" transform="rotate(-90 12 ${(area.top + area.bottom) / 2})" ${textStyle}>${escapeXml(title.text)}</text>`);
+            }
+        });
+
+        // Legend for comparison charts.
+        if (chart.data.datasets.length > 1) {
+            chart.data.datasets.forEach((dataset, index) => {
+                const y = area.top + 4 + index * 16;
+                parts.push(`<rect x="${area.right - 150}" y="${y}" width="10" height="10" fill="${dataset.borderColor || dataset.backgroundColor}"/>`);
+                parts.push(`<text x="${area.right - 135}" y="${y + 9}" ${textStyle}>${escapeXml(dataset.label)}</text>`);
+            });
+        }
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${parts.join('')}</svg>`;
+    }
+
+    // Standalone SVG markup of the D3 plot inside a container (its first svg),
+    // with an explicit size, a background and a font so it renders outside the page.
+    function plotToSvg(containerId, overrides = {}) {
+        const options = { ...DEFAULT_OPTIONS, ...overrides };
+        const svgNode = document.querySelector(`#${containerId} svg`);
+        if (!svgNode) {
+            console.error(`ExportService: No SVG plot found in ${containerId}.`);
+            return null;
+        }
+        const clone = svgNode.cloneNode(true);
+        const viewBox = (clone.getAttribute('viewBox') || '').split(/\s+/).map(Number);
+        const width = viewBox[2] || svgNode.clientWidth;
+        const height = viewBox[3] || svgNode.clientHeight;
+        clone.setAttribute('width', width);
+        clone.setAttribute('height', height);
+        clone.setAttribute('font-family', options.fontFamily);
+        const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        background.setAttribute('x', viewBox[0] || 0);
+        background.setAttribute('y', viewBox[1] || 0);
+        background.setAttribute('width', width);
+        background.setAttribute('height', height);
+        background.setAttribute('fill', options.background);
+        clone.insertBefore(background, clone.firstChild);
+        return new XMLSerializer().serializeToString(clone);
+    }
+
+    // Rasterizes SVG markup to a PNG Blob at `pngScale` pixels per unit.
+    function svgToPngBlob(svgMarkup, overrides = {}) {
+        const options = { ...DEFAULT_OPTIONS, ...overrides };
+        return new Promise((resolve, reject) => {
+            const doc = new DOMParser().parseFromString(svgMarkup, 'image/svg+xml').documentElement;
+            const width = parseFloat(doc.getAttribute('width'));
+            const height = parseFloat(doc.getAttribute('height'));
+            const url = URL.createObjectURL(new Blob([svgMarkup], { type: 'image/svg+xml;charset=utf-8' }));
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(width * options.pngScale);
+                canvas.height = Math.round(height * options.pngScale);
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                URL.revokeObjectURL(url);
+                canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('SVG could not be rendered'));
+            };
+            image.src = url;
+        });
+    }
+
+    // PNG Blob of a Chart.js canvas on an opaque background.
+    function chartToPngBlob(canvasId, overrides = {}) {
+        const options = { ...DEFAULT_OPTIONS, ...overrides };
+        const source = document.getElementById(canvasId);
+        if (!source) return Promise.reject(new Error(`Canvas ${canvasId} not found`));
+        const canvas = document.createElement('canvas');
+        canvas.width = source.width;
+        canvas.height = source.height;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = options.background;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(source, 0, 0);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+        });
+    }
+
+    return {
+        DEFAULT_OPTIONS: DEFAULT_OPTIONS,
+        siteMetadata: siteMetadata,
+        sessionStatistics: sessionStatistics,
+        readingsToCsv: readingsToCsv,
+        readingsToJson: readingsToJson,
+        readingsToGeoJson: readingsToGeoJson,
+        statisticsToJson: statisticsToJson,
+        observationProperties: observationProperties,
+        observationsToGeoJson: observationsToGeoJson,
+        observationsToKml: observationsToKml,
+        chartToSvg: chartToSvg,
+        plotToSvg: plotToSvg,
+        svgToPngBlob: svgToPngBlob,
+        chartToPngBlob: chartToPngBlob,
+        downloadBlob: downloadBlob,
+        downloadText: downloadText
+    };
+})();
@@ -0,0 +1,196 @@
+// js/services/filterService.js
+// Filters observation points by date, median SQM, darkness class, place and
+// equipment. The filter state is stored in localStorage so the map and the
+// panorama gallery show the same subset.
+
+const SkyArchiveFilterService = (() => {
+
+    const STORAGE_KEY = 'skyarchive-filters';
+
+    // An empty field does not filter. `classes` holds darkness class labels
+    // (SkyArchiveDarknessScale.CLASSES); an empty list allows every class.
+    const EMPTY_FILTERS = {
+        dateFrom: '',
+        dateTo: '',
+        sqmMin: null,
+        sqmMax: null,
+        classes: [],
+        country: '',
+        region: '',
+        camera: '',
+        lens: ''
+    };
+
+    // Filters with every field present and numbers parsed.
+    function normalize(filters) {
+        const result = { ...EMPTY_FILTERS, ...(filters || {}) };
+        ['sqmMin', 'sqmMax'].forEach(key => {
+            const value = parseFloat(result[key]);
+            result[key] = Number.isFinite(value) ? value : null;
+        });
+        result.classes = Array.isArray(result.classes) ? result.classes : [];
+        return result;
+    }
+
+    function isActive(filters) {
+        const f = normalize(filters);
+        return Boolean(f.dateFrom || f.dateTo || f.sqmMin !== null || f.sqmMax !== null || f.classes.length > 0 ||
+            f.country || f.region || f.camera || f.lens);
+    }
+
+    // Darkness class label of a median SQM ('N/A' without a median).
+    function darknessClass(medianSqm) {
+        return SkyArchiveDarknessScale.classify(medianSqm).label;
+    }
+
+    // Whether a processed manifest entry passes the filters. Entries without a
+    // median fail any SQM or class filter.
+    function matches(item, filters) {
+        const f = normalize(filters);
+        const date = String(item.date || '');
+        if (f.dateFrom && !(date >= f.dateFrom)) return false;
+        if (f.dateTo && !(date <= f.dateTo)) return false;
+        const sqm = parseFloat(item.medianSqm);
+        if (f.sqmMin !== null && !(sqm >= f.sqmMin)) return false;
+        if (f.sqmMax !== null && !(sqm <= f.sqmMax)) return false;
+        if (f.classes.length > 0 && !f.classes.includes(darknessClass(item.medianSqm))) return false;
+        if (f.country && item.country !== f.country) return false;
+        if (f.region && item.region !== f.region) return false;
+        if (f.camera && item.camera !== f.camera) return false;
+        if (f.lens && String(item.lens) !== f.lens) return false;
+        return true;
+    }
+
+    function apply(items, filters) {
+        return items.filter(item => matches(item, filters));
+    }
+
+    // Values the entries offer for each filter: { countries, regions (by
+    // country), cameras, lenses, dateMin, dateMax, sqmMin, sqmMax }.
+    function availableOptions(items) {
+        const unique = values => Array.from(new Set(values.filter(v => v !== undefined && v !== null && v !== ''))).map(String).sort();
+        const regions = {};
+        items.forEach(item => {
+            if (!item.country || !item.region) return;
+            regions[item.country] = unique((regions[item.country] || []).concat(item.region));
+        });
+        const dates = items.map(item => item.date).filter(Boolean).sort();
+        const medians = items.map(item => parseFloat(item.medianSqm)).filter(Number.isFinite);
+        return {
+            countries: unique(items.map(item => item.country)),
+            regions: regions,
+            cameras: unique(items.map(item => item.camera)),
+            lenses: unique(items.map(item => item.lens)),
+            dateMin: dates[0] || '',
+            dateMax: dates[dates.length - 1] || '',
+            sqmMin: medians.length > 0 ? Math.min(...medians) : null,
+            sqmMax: medians.length > 0 ? Math.max(...medians) : null
+        };
+    }
+
+    // Stored filters, shared by the map and the panorama gallery.
+    function load() {
+        try {
+            return normalize(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+        } catch (error) {
+            console.warn("FilterService: could not read the stored filters:", error);
+            return normalize(null);
+        }
+    }
+
+    function save(filters) {
+        const f = normalize(filters);
+        if (isActive(f)) localStorage.setItem(STORAGE_KEY, JSON.stringify(f));
+        else localStorage.removeItem(STORAGE_KEY);
+    }
+
+    // Short description of the active filters, e.g. "2024-01-01 – 2024-12-31 · Austria · Class 3".
+    function describe(filters) {
+        const f = normalize(filters);
+        const parts = [];
+        if (f.dateFrom || f.dateTo) parts.push(`${f.dateFrom || '…'} – ${f.dateTo || '…'}`);
+        if (f.sqmMin !== null || f.sqmMax !== null) parts.push(`SQM ${f.sqmMin !== null ? f.sqmMin : '…'}–${f.sqmMax !== null ? f.sqmMax : '…'}`);
+        if (f.classes.length > 0) parts.push(f.classes.join(', '));
+        [f.country, f.region, f.camera, f.lens ? `${f.lens}mm` : ''].filter(Boolean).forEach(part => parts.push(part));
+        return parts.join(' · ');
+    }
+
+    // Builds the filter form for `items` into `container` and calls
+    // `onChange(filters)` whenever a field changes. Returns { setFilters }
+    // to show other filters (e.g. after a reset).
+    function renderForm(container, items, filters, onChange) {
+        const options = availableOptions(items);
+        const selectOptions = (values, emptyLabel, format = v => v) =>
+            `<option value="">${emptyLabel}</option>` + values.map(v => `<option value="${v}">${format(v)}</option>`).join('');
+        const classCheckboxes = SkyArchiveDarknessScale.CLASSES.map(c =>
+            `<label class="filter-class"><input type="checkbox" name="classes" value="${c.label}"><i style="background:${c.color};"></i> ${c.label}</label>`).join('');
+
+        container.innerHTML = `
+            <div class="filter-row">
+                <label>Date from <input type="date" name="dateFrom" min="${options.dateMin}" max="${options.dateMax}"></label>
+                <label>to <input type="date" name="dateTo" min="${options.dateMin}" max="${options.dateMax}"></label>
+            </div>
+            <div class="filter-row">
+                <label>Median SQM from <input type="number" name="sqmMin" step="0.1" min="15" max="23" placeholder="${options.sqmMin !== null ? options.sqmMin.toFixed(1) : ''}"></label>
+                <label>to <input type="number" name="sqmMax" step="0.1" min="15" max="23" placeholder="${options.sqmMax !== null ? options.sqmMax.toFixed(1) : ''}"></label>
+            </div>
+            <div class="filter-row filter-classes">${classCheckboxes}</div>
+            <div class="filter-row">
+                <select name="country">${selectOptions(options.countries, 'All countries')}</select>
+                <select name="region"></select>
+            </div>
+            <div class="filter-row">
+                <select name="camera">${selectOptions(options.cameras, 'All cameras')}</select>
+                <select name="lens">${selectOptions(options.lenses, 'All lenses', v => `${v}mm`)}</select>
+            </div>`;
+
+        const field = name => container.querySelector(`[name="${name}"]`);
+        // Regions are offered for the chosen country, or all of them.
+        const updateRegions = (selected) => {
+            const country = field('country').value;
+            const regions = country ? (options.regions[country] || []) : Array.from(new Set([].concat(...Object.values(options.regions)))).sort();
+            field('region').innerHTML = selectOptions(regions, 'All regions');
+            field('region').value = regions.includes(selected) ? selected : '';
+        };
+        const read = () => normalize({
+            dateFrom: field('dateFrom').value,
+            dateTo: field('dateTo').value,
+            sqmMin: field('sqmMin').value,
+            sqmMax: field('sqmMax').value,
+            classes: Array.from(container.querySelectorAll('[name="classes"]:checked')).map(input => input.value),
+            country: field('country').value,
+            region: field('region').value,
+            camera: field('camera').value,
+            lens: field('lens').value
+        });
+        const setFilters = (newFilters) => {
+            const f = normalize(newFilters);
+            ['dateFrom', 'dateTo', 'country', 'camera', 'lens'].forEach(name => { field(name).value = f[name]; });
+            field('sqmMin').value = f.sqmMin !== null ? f.sqmMin : '';
+            field('sqmMax').value = f.sqmMax !== null ? f.sqmMax : '';
+            container.querySelectorAll('[name="classes"]').forEach(input => { input.checked = f.classes.includes(input.value); });
+            updateRegions(f.region);
+        };
+
+        setFilters(filters);
+        container.addEventListener('input', (event) => {
+            if (event.target.name === 'country') updateRegions(field('region').value);
+            onChange(read());
+        });
+        return { setFilters: setFilters };
+    }
+
+    return {
+        EMPTY_FILTERS: EMPTY_FILTERS,
+        normalize: normalize,
+        isActive: isActive,
+        darknessClass: darknessClass,
+        matches: matches,
+        apply: apply,
+        availableOptions: availableOptions,
+        load: load,
+        save: save,
+        describe: describe,
+        renderForm: renderForm
+    };
+})();
@@ -6,6 +6,15 @@ const SkyArchiveGalleryService = (() => {
     let currentAstroGalleryIndex = 0; // Tracks the current image index in the lightbox.
     let astroGalleryItems = []; // Stores the array of astrophoto items for lightbox navigation.
 
+    // Badge with the darkness class (SkyArchiveDarknessScale) of a median
+    // SQM, or an empty string without a median.
+    function darknessBadge(medianSqm) {
+        const darknessClass = SkyArchiveDarknessScale.classify(medianSqm);
+        if (darknessClass === SkyArchiveDarknessScale.NO_DATA) return '';
+        const outline = darknessClass.outline ? `border-color: ${darknessClass.outline};` : '';
+        return `<span class="darkness-badge" title="${darknessClass.description}"><i style="background:${darknessClass.color}; ${outline}"></i>${darknessClass.label}</span>`;
+    }
+
     // Updates the content of the lightbox with the image and details at the given index.
     function updateLightboxView(index) {
         if (index < 0 || index >= astroGalleryItems.length) {
@@ -150,6 +159,8 @@ const SkyArchiveGalleryService = (() => {
             slide.dataset.panoramaUrl = item.panoramaUrl;
             slide.dataset.sqmFileUrl = item.sqmFileUrl;
             const actualPreviewUrl = item.previewUrl || item.panoramaUrl;
+            const photometrySummary = SkyArchivePhotometryService.formatSummary(item.medianSqm);
+            const savedOffline = typeof SkyArchiveOfflineService !== 'undefined' && SkyArchiveOfflineService.isSessionSaved(item);
             slide.innerHTML = `
                 <div class="pannellum-placeholder" data-panorama-url="${item.panoramaUrl}" data-preview-url="${actualPreviewUrl}">
                      <i class="fas fa-spinner fa-spin"></i>
@@ -157,7 +168,9 @@ const SkyArchiveGalleryService = (() => {
                  </div>
                 <div class="panorama-info">
                     <h4>${item.locationName || item.locality || 'Unknown Location'}</h4>
-                    <p>SQM: ${item.medianSqm} mag/arcsec² • ${item.date}</p>
+                    <p>SQM: ${item.medianSqm} mag/arcsec² ${darknessBadge(item.medianSqm)} • ${item.date}</p>
+                    ${photometrySummary ? `<p>${photometrySummary}</p>` : ''}
+                    ${savedOffline ? `<p class="offline-badge"><i class="fas fa-download"></i> Saved for offline use</p>` : ''}
                 </div>
             `;
             splideList.appendChild(slide);
@@ -242,16 +255,14 @@ const SkyArchiveGalleryService = (() => {
         });
     }
 
-    // Initializes the main panorama gallery on panorama-gallery.html.
-    function initGallery(processedData) {
-        const galleryGrid = document.querySelector('.gallery-grid');
-        if (!galleryGrid) return null;
+    // Fills the panorama gallery grid with one card per entry.
+    function renderGalleryItems(galleryGrid, items) {
         galleryGrid.innerHTML = '';
-        if (!processedData || processedData.length === 0) {
-             galleryGrid.innerHTML = '<p style="text-align: center; color: var(--text-secondary);">No panoramas available.</p>';
-             return null;
+        if (items.length === 0) {
+            galleryGrid.innerHTML = '<p style="text-align: center; color: var(--text-secondary);">No panoramas match the filter.</p>';
+            return;
         }
-        processedData.forEach(item => {
+        items.forEach(item => {
             const galleryItem = document.createElement('div');
             galleryItem.className = 'gallery-item';
             const safeTitle = (item.locationName || item.locality || "Panorama").replace(/'/g, "\\'");
@@ -262,6 +273,8 @@ const SkyArchiveGalleryService = (() => {
             const safeLatitude = String(item.latitude || '').replace(/'/g, "\\'");
             const safeLongitude = String(item.longitude || '').replace(/'/g, "\\'");
             const actualPreviewUrl = item.previewUrl || 'img/placeholder_thumbnail.jpg';
+            const photometrySummary = SkyArchivePhotometryService.formatSummary(item.medianSqm);
+            const savedOffline = typeof SkyArchiveOfflineService !== 'undefined' && SkyArchiveOfflineService.isSessionSaved(item);
             galleryItem.onclick = function() {
                 if (item.panoramaUrl && typeof viewPanorama === 'function') {
                     viewPanorama(safeTitle, safeDate, safeMedianSqm, safePanoUrl, safeSqmFileUrl, safeLatitude, safeLongitude);
@@ -275,12 +288,58 @@ const SkyArchiveGalleryService = (() => {
                 <div class="gallery-info">
                     <h4>${item.locationName || item.locality || 'Unknown Location'}</h4>
                     <p>Date: ${item.date}</p>
-                    <p>Median SQM: ${item.medianSqm} mag/arcsec²</p>
+                    <p>Median SQM: ${item.medianSqm} mag/arcsec² ${darknessBadge(item.medianSqm)}</p>
+                    ${photometrySummary ? `<p>${photometrySummary}</p>` : ''}
+                    ${savedOffline ? `<p class="offline-badge"><i class="fas fa-download"></i> Saved for offline use</p>` : ''}
                 </div>
             `;
             if (item.panoramaUrl) galleryItem.style.cursor = 'pointer';
             galleryGrid.appendChild(galleryItem);
         });
+    }
+
+    // Initializes the main panorama gallery on panorama-gallery.html. If the
+    // page has a #gallery-filter panel, the gallery shows the subset selected
+    // by the filters it shares with the map (SkyArchiveFilterService).
+    function initGallery(processedData) {
+        const galleryGrid = document.querySelector('.gallery-grid');
+        if (!galleryGrid) return null;
+        galleryGrid.innerHTML = '';
+        if (!processedData || processedData.length === 0) {
+             galleryGrid.innerHTML = '<p style="text-align: center; color: var(--text-secondary);">No panoramas available.</p>';
+             return null;
+        }
+        const filterPanel = document.getElementById('gallery-filter');
+        if (!filterPanel || typeof SkyArchiveFilterService === 'undefined') {
+            renderGalleryItems(galleryGrid, processedData);
+            return galleryGrid;
+        }
+
+        const summary = document.getElementById('gallery-filter-summary');
+        const showFiltered = (filters) => {
+            const items = SkyArchiveFilterService.apply(processedData, filters);
+            renderGalleryItems(galleryGrid, items);
+            if (summary) {
+                summary.textContent = SkyArchiveFilterService.isActive(filters)
+                    ? `Showing ${items.length} of ${processedData.length} panoramas (${SkyArchiveFilterService.describe(filters)}). The map uses the same filter.`
+                    : `Showing all ${processedData.length} panoramas.`;
+            }
+        };
+        const filters = SkyArchiveFilterService.load();
+        const formControls = SkyArchiveFilterService.renderForm(filterPanel.querySelector('.gallery-filter-form'), processedData, filters, newFilters => {
+            SkyArchiveFilterService.save(newFilters);
+            showFiltered(newFilters);
+        });
+        const resetButton = filterPanel.querySelector('.gallery-filter-reset');
+        if (resetButton) {
+            resetButton.onclick = () => {
+                SkyArchiveFilterService.save(SkyArchiveFilterService.EMPTY_FILTERS);
+                formControls.setFilters(SkyArchiveFilterService.EMPTY_FILTERS);
+                showFiltered(SkyArchiveFilterService.EMPTY_FILTERS);
+            };
+        }
+        if (SkyArchiveFilterService.isActive(filters)) filterPanel.open = true;
+        showFiltered(filters);
         return galleryGrid;
     }
 
@@ -0,0 +1,183 @@
+// js/services/geoImportService.js
+// Reads GeoJSON, KML and GPX files (site lists from QGIS, Google Earth or a
+// GPS) into a GeoJSON FeatureCollection that the map can show as an overlay.
+
+const SkyArchiveGeoImport = (() => {
+
+    const FORMATS = {
+        geojson: { id: 'geojson', label: 'GeoJSON', extensions: ['geojson', 'json'] },
+        kml: { id: 'kml', label: 'KML', extensions: ['kml'] },
+        gpx: { id: 'gpx', label: 'GPX', extensions: ['gpx'] }
+    };
+
+    // Format id of a file from its extension, else from its content, or null.
+    function detectFormat(text, filename = '') {
+        const extension = (filename.split('.').pop() || '').toLowerCase();
+        const byExtension = Object.values(FORMATS).find(format => format.extensions.includes(extension));
+        if (byExtension) return byExtension.id;
+        const start = text.trimStart().slice(0, 500);
+        if (start.startsWith('{')) return 'geojson';
+        if (/<kml[\s>]/.test(start)) return 'kml';
+        if (/<gpx[\s>]/.test(start)) return 'gpx';
+        return null;
+    }
+
+    // Elements of a tag name in any namespace below `parent`.
+    function elements(parent, tagName) {
+        return Array.from(parent.getElementsByTagNameNS('*', tagName));
+    }
+
+    // Trimmed text of the first `tagName` child element, or null.
+    function childText(parent, tagName) {
+        const child = Array.from(parent.children).find(node => node.localName === tagName);
+        return child && child.textContent.trim() ? child.textContent.trim() : null;
+    }
+
+    function parseXml(text, formatLabel) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error(`The file is not valid ${formatLabel} (XML could not be read).`);
+        }
+        return doc;
+    }
+
+    // Positions ([lon, lat] or [lon, lat, ele]) of a KML <coordinates> text.
+    function kmlPositions(text) {
+        return text.trim().split(/\s+/).filter(Boolean)
+            .map(tuple => tuple.split(',').map(parseFloat))
+            .filter(position => position.length >= 2 && Number.isFinite(position[0]) && Number.isFinite(position[1]))
+            .map(position => (Number.isFinite(position[2]) ? position.slice(0, 3) : position.slice(0, 2)));
+    }
+
+    // GeoJSON geometry of a KML geometry element, or null.
+    function kmlGeometry(node) {
+        const coordinates = () => {
+            const coordinatesNode = elements(node, 'coordinates')[0];
+            return coordinatesNode ? kmlPositions(coordinatesNode.textContent) : [];
+        };
+        switch (node.localName) {
+            case 'Point': {
+                const positions = coordinates();
+                return positions.length > 0 ? { type: 'Point', coordinates: positions[0] } : null;
+            }
+            case 'LineString': {
+                const positions = coordinates();
+                return positions.length > 1 ? { type: 'LineString', coordinates: positions } : null;
+            }
+            case 'Polygon': {
+                const rings = ['outerBoundaryIs', 'innerBoundaryIs']
+                    .flatMap(boundary => elements(node, boundary))
+                    .map(boundary => kmlPositions((elements(boundary, 'coordinates')[0] || { textContent: '' }).textContent))
+                    .filter(ring => ring.length > 3);
+                return rings.length > 0 ? { type: 'Polygon', coordinates: rings } : null;
+            }
+            case 'MultiGeometry': {
+                const geometries = Array.from(node.children).map(kmlGeometry).filter(Boolean);
+                return geometries.length > 0 ? { type: 'GeometryCollection', geometries: geometries } : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Features of the placemarks of a KML document, with their name,
+    // description and ExtendedData values as properties.
+    function parseKml(text) {
+        const doc = parseXml(text, 'KML');
+        return elements(doc, 'Placemark').map(placemark => {
+            const geometryNode = Array.from(placemark.children)
+                .find(node => ['Point', 'LineString', 'Polygon', 'MultiGeometry'].includes(node.localName));
+            const geometry = geometryNode ? kmlGeometry(geometryNode) : null;
+            if (!geometry) return null;
+            const properties = {};
+            const name = childText(placemark, 'name');
+            const description = childText(placemark, 'description');
+            if (name) properties.name = name;
+            if (description) properties.description = description;
+            elements(placemark, 'Data').forEach(data => {
+                properties[data.getAttribute('name')] = childText(data, 'value');
+            });
+            elements(placemark, 'SimpleData').forEach(data => {
+                properties[data.getAttribute('name')] = data.textContent.trim();
+            });
+            const when = elements(placemark, 'when')[0];
+            if (when && !properties.date) properties.date = when.textContent.trim();
+            return { type: 'Feature', geometry: geometry, properties: properties };
+        }).filter(Boolean);
+    }
+
+    // [lon, lat] or [lon, lat, ele] of a GPX point element, or null.
+    function gpxPosition(point) {
+        const lat = parseFloat(point.getAttribute('lat'));
+        const lon = parseFloat(point.getAttribute('lon'));
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+        const elevation = parseFloat(childText(point, 'ele'));
+        return Number.isFinite(elevation) ? [lon, lat, elevation] : [lon, lat];
+    }
+
+    // Name, description, comment, type and time of a GPX element.
+    function gpxProperties(node) {
+        const properties = {};
+        ['name', 'desc', 'cmt', 'type', 'time', 'ele'].forEach(tagName => {
+            const value = childText(node, tagName);
+            if (value) properties[tagName === 'desc' ? 'description' : tagName] = value;
+        });
+        return properties;
+    }
+
+    // Features of the waypoints (points), routes and tracks (lines) of a GPX document.
+    function parseGpx(text) {
+        const doc = parseXml(text, 'GPX');
+        const waypoints = elements(doc, 'wpt').map(point => {
+            const position = gpxPosition(point);
+            return position ? { type: 'Feature', geometry: { type: 'Point', coordinates: position }, properties: gpxProperties(point) } : null;
+        });
+        const routes = elements(doc, 'rte').map(route => {
+            const positions = elements(route, 'rtept').map(gpxPosition).filter(Boolean);
+            return positions.length > 1 ? { type: 'Feature', geometry: { type: 'LineString', coordinates: positions }, properties: gpxProperties(route) } : null;
+        });
+        const tracks = elements(doc, 'trk').map(track => {
+            const segments = elements(track, 'trkseg')
+                .map(segment => elements(segment, 'trkpt').map(gpxPosition).filter(Boolean))
+                .filter(positions => positions.length > 1);
+            return segments.length > 0 ? { type: 'Feature', geometry: { type: 'MultiLineString', coordinates: segments }, properties: gpxProperties(track) } : null;
+        });
+        return waypoints.concat(routes, tracks).filter(Boolean);
+    }
+
+    // Features of a GeoJSON FeatureCollection, Feature or bare geometry.
+    function parseGeoJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`The file is not valid GeoJSON: ${error.message}`);
+        }
+        if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) {
+            return data.features.filter(feature => feature && feature.geometry);
+        }
+        if (data && data.type === 'Feature') return data.geometry ? [data] : [];
+        if (data && typeof data.type === 'string' && (data.coordinates || data.geometries)) {
+            return [{ type: 'Feature', geometry: data, properties: {} }];
+        }
+        throw new Error('The file is not GeoJSON (no FeatureCollection, Feature or geometry found).');
+    }
+
+    // GeoJSON FeatureCollection of a GeoJSON, KML or GPX file's text, with
+    // the detected format in its `format` member. Throws an Error with a
+    // message for the user when the file cannot be read or has no features.
+    function parse(text, filename = '') {
+        const format = detectFormat(text, filename);
+        if (!format) throw new Error('Unsupported file: choose a GeoJSON, KML or GPX file.');
+        const parsers = { geojson: parseGeoJson, kml: parseKml, gpx: parseGpx };
+        const features = parsers[format](text);
+        if (features.length === 0) throw new Error(`The ${FORMATS[format].label} file contains no features with coordinates.`);
+        return { type: 'FeatureCollection', format: format, features: features };
+    }
+
+    return {
+        FORMATS: FORMATS,
+        detectFormat: detectFormat,
+        parse: parse
+    };
+})();
@@ -0,0 +1,62 @@
+// js/services/geoService.js
+// Great-circle geodesy on a spherical Earth, shared by the map, the
+// panorama viewer, the services and the Node tools.
+
+const SkyArchiveGeoService = (() => {
+
+    const EARTH_RADIUS_KM = 6371;
+
+    const COMPASS_POINTS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+    function degreesToRadians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+
+    function radiansToDegrees(radians) {
+        return radians * 180 / Math.PI;
+    }
+
+    // Great-circle (haversine) distance in km between two lat/lon points.
+    function calculateDistance(lat1, lon1, lat2, lon2) {
+        const dLat = degreesToRadians(lat2 - lat1);
+        const dLon = degreesToRadians(lon2 - lon1);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(degreesToRadians(lat1)) * Math.cos(degreesToRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+        return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    // Great-circle distance in meters between two lat/lon points.
+    function distanceMeters(lat1, lon1, lat2, lon2) {
+        return calculateDistance(lat1, lon1, lat2, lon2) * 1000;
+    }
+
+    // Initial bearing in degrees (0-360, clockwise from north) from the first point towards the second.
+    function calculateBearing(lat1, lon1, lat2, lon2) {
+        const phi1 = degreesToRadians(lat1);
+        const phi2 = degreesToRadians(lat2);
+        const dLambda = degreesToRadians(lon2 - lon1);
+        const y = Math.sin(dLambda) * Math.cos(phi2);
+        const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLambda);
+        return (radiansToDegrees(Math.atan2(y, x)) + 360) % 360;
+    }
+
+    // 16-point compass name of a bearing, e.g. 200 -> "SSW".
+    function compassPoint(bearing) {
+        return COMPASS_POINTS[Math.round((((bearing % 360) + 360) % 360) / 22.5) % 16];
+    }
+
+    return {
+        EARTH_RADIUS_KM: EARTH_RADIUS_KM,
+        degreesToRadians: degreesToRadians,
+        radiansToDegrees: radiansToDegrees,
+        calculateDistance: calculateDistance,
+        distanceMeters: distanceMeters,
+        calculateBearing: calculateBearing,
+        compassPoint: compassPoint
+    };
+})();
+
+// Node tools (tools/) load the service as a CommonJS module.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SkyArchiveGeoService;
+}
@@ -0,0 +1,163 @@
+// js/services/lightDomeService.js
+// Builds an azimuth brightness profile from the low-altitude readings and
+// detects light domes as sectors brighter than the site's background.
+
+const SkyArchiveLightDomeService = (() => {
+
+    const DEFAULT_OPTIONS = {
+        minAltitude: 10,            // Lowest altitude ring used (degrees).
+        maxAltitude: 30,            // Highest altitude ring used; light domes fade quickly above this.
+        binWidth: 10,               // Azimuth step of the profile (degrees).
+        minRingReadings: 4,         // Rings with fewer accepted readings cannot be interpolated in azimuth.
+        backgroundPercentile: 0.75, // Profile magnitude percentile taken as the background (higher = darker).
+        minExcess: 0.15,            // Mag brighter than background for a peak to count as a dome.
+        minProminence: 0.1,         // Mag a dome must rise above the dip separating it from a brighter one.
+        matchTolerance: 20          // Degrees between bearings for matchDomes to pair two domes.
+    };
+
+    // Smallest absolute difference between two azimuths in degrees.
+    function azimuthDifference(a, b) {
+        const diff = Math.abs(((a - b) % 360 + 360) % 360);
+        return Math.min(diff, 360 - diff);
+    }
+
+    // Linear interpolation of a ring's magnitude at an azimuth, wrapping through north.
+    function ringValueAt(ring, azimuth) {
+        const after = ring.findIndex(r => r.azi >= azimuth);
+        const next = after === -1 ? ring[0] : ring[after];
+        const prev = after <= 0 ? ring[ring.length - 1] : ring[after - 1];
+        const span = ((next.azi - prev.azi) % 360 + 360) % 360 || 360;
+        const offset = ((azimuth - prev.azi) % 360 + 360) % 360;
+        return prev.mag + (next.mag - prev.mag) * (offset / span);
+    }
+
+    // Azimuth brightness profile: for each bin, the mean magnitude of every
+    // usable altitude ring interpolated at the bin centre.
+    // Returns [{ azimuth, mag, rings }] (mag null where no ring is usable).
+    function azimuthProfile(records, overrides = {}) {
+        const options = { ...DEFAULT_OPTIONS, ...overrides };
+        const rings = {};
+        SkyArchiveQualityService.acceptedReadings(records).forEach(r => {
+            if (r.alt === null || r.azi === null || r.alt < options.minAltitude || r.alt > options.maxAltitude) return;
+            (rings[r.alt] = rings[r.alt] || []).push(r);
+        });
+        const usableRings = Object.values(rings)
+            .filter(ring => ring.length >= options.minRingReadings)
+            .map(ring => ring.slice().sort((a, b) => a.azi - b.azi));
+        const profile = [];
+        for (let azimuth = 0; azimuth < 360; azimuth += options.binWidth) {
+            const values = usableRings.map(ring => ringValueAt(ring, azimuth));
+            profile.push({
+                azimuth: azimuth,
+                mag: values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null,
+                rings: values.length
+            });
+        }
+        return profile;
+    }
+
+    // Finds dome peaks in a circular excess profile (mag brighter than
+    // background per bin). A peak is a local maximum at least `minExcess`
+    // above background that stands `minProminence` above the lowest point
+    // separating it from any brighter peak. Its extent is where the excess
+    // stays between half the peak excess and the peak itself.
+    function findPeaks(excess, options) {
+        const n = excess.length;
+        const at = i => excess[((i % n) + n) % n];
+        const peaks = [];
+        for (let i = 0; i < n; i++) {
+            const value = excess[i];
+            if (value === null || value < options.minExcess || at(i - 1) > value || at(i + 1) >= value) continue;
+            const walk = step => {
+                let lowest = value;
+                for (let k = 1; k < n; k++) {
+                    const next = at(i + step * k);
+                    if (next !== null && next > value) break;
+                    if (next !== null) lowest = Math.min(lowest, next);
+                }
+                return lowest;
+            };
+            const prominence = value - Math.max(walk(-1), walk(1));
+            // Skip shoulders of a brighter dome; the brightest peak always counts.
+            if (prominence < options.minProminence && excess.some(v => v !== null && v > value)) continue;
+            const extent = step => {
+                let k = 0;
+                const inDome = v => v !== null && v >= value / 2 && v <= value;
+                while (k < n / 2 && inDome(at(i + step * (k + 1)))) k++;
+                return k;
+            };
+            peaks.push({ index: i, left: extent(-1), right: extent(1) });
+        }
+        return peaks;
+    }
+
+    // Analyzes a session's readings. Returns
+    // { profile, background: { mag, luminance }, domes: [{ bearing, width, startAzimuth,
+    //   endAzimuth, peakMag, excessMag, excessRatio }], options }
+    // with domes sorted brightest first, or null if no ring is usable.
+    // `excessRatio` is the dome's extra luminance as a multiple of the background.
+    function analyze(records, overrides = {}) {
+        const options = { ...DEFAULT_OPTIONS, ...overrides };
+        const profile = azimuthProfile(records, options);
+        const values = profile.filter(bin => bin.mag !== null).map(bin => bin.mag).sort((a, b) => a - b);
+        if (values.length === 0) return null;
+        const backgroundMag = values[Math.min(values.length - 1, Math.floor(options.backgroundPercentile * (values.length - 1)))];
+        const backgroundLuminance = SkyArchivePhotometryService.luminance(backgroundMag);
+
+        const excess = profile.map(bin => (bin.mag === null ? null : backgroundMag - bin.mag));
+        const domes = findPeaks(excess, options).map(peak => {
+            const bin = profile[peak.index];
+            return {
+                bearing: bin.azimuth,
+                width: (peak.left + peak.right + 1) * options.binWidth,
+                startAzimuth: ((bin.azimuth - (peak.left + 0.5) * options.binWidth) % 360 + 360) % 360,
+                endAzimuth: (bin.azimuth + (peak.right + 0.5) * options.binWidth) % 360,
+                peakMag: bin.mag,
+                excessMag: excess[peak.index],
+                excessRatio: SkyArchivePhotometryService.luminance(bin.mag) / backgroundLuminance - 1
+            };
+        }).sort((a, b) => b.excessMag - a.excessMag);
+
+        return {
+            profile: profile,
+            background: { mag: backgroundMag, luminance: backgroundLuminance },
+            domes: domes,
+            options: options
+        };
+    }
+
+    // Pairs the domes of two analyses of the same site by bearing, e.g. to
+    // compare revisits. Returns [{ previous, current, bearingShift, excessChange }]
+    // plus unmatched domes with the other side null.
+    function matchDomes(previousDomes, currentDomes, tolerance = DEFAULT_OPTIONS.matchTolerance) {
+        const unmatched = currentDomes.slice();
+        const pairs = previousDomes.map(previous => {
+            let bestIndex = -1;
+            unmatched.forEach((current, i) => {
+                const diff = azimuthDifference(previous.bearing, current.bearing);
+                if (diff <= tolerance && (bestIndex === -1 || diff < azimuthDifference(previous.bearing, unmatched[bestIndex].bearing))) bestIndex = i;
+            });
+            if (bestIndex === -1) return { previous: previous, current: null, bearingShift: null, excessChange: null };
+            const current = unmatched.splice(bestIndex, 1)[0];
+            return {
+                previous: previous,
+                current: current,
+                bearingShift: ((current.bearing - previous.bearing + 540) % 360) - 180,
+                excessChange: current.excessMag - previous.excessMag
+            };
+        });
+        return pairs.concat(unmatched.map(current => ({ previous: null, current: current, bearingShift: null, excessChange: null })));
+    }
+
+    return {
+        DEFAULT_OPTIONS: DEFAULT_OPTIONS,
+        azimuthProfile: azimuthProfile,
+        analyze: analyze,
+        matchDomes: matchDomes
+    };
+})();
+
+// Node tools (tools/) load the service as a CommonJS module.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SkyArchiveLightDomeService;
+}
@@ -0,0 +1,150 @@
+// js/services/manifestService.js
+// Builds draft data/manifest.json entries from a processed SQM log so a new
+// session can be published with the archive's naming and path conventions.
+
+const SkyArchiveManifestService = (() => {
+
+    const DEFAULT_OPTIONS = {
+        panoNum: 'Pano1',
+        nightStartHour: 12          // Readings logged before this local hour belong to the previous evening's session.
+    };
+
+    // "YYYY-MM-DD" shifted by a number of days.
+    function shiftDate(date, days) {
+        const d = new Date(`${date}T00:00:00Z`);
+        d.setUTCDate(d.getUTCDate() + days);
+        return d.toISOString().slice(0, 10);
+    }
+
+    // Date of the evening a session started, from its first reading's logged
+    // date and time (sessions are named after the evening, not after midnight).
+    function sessionDate(records, overrides = {}) {
+        const options = { ...DEFAULT_OPTIONS, ...overrides };
+        const first = records.find(r => r.date);
+        if (!first) return null;
+        const hour = parseInt(String(first.time || '').split(':')[0], 10);
+        return Number.isFinite(hour) && hour < options.nightStartHour ? shiftDate(first.date, -1) : first.date;
+    }
+
+    // Median GPS position of the readings, or null if the log has no Lat/Lon columns.
+    function logPosition(records) {
+        const located = records.filter(r => Number.isFinite(r.lat) && Number.isFinite(r.lon) && (r.lat !== 0 || r.lon !== 0));
+        if (located.length === 0) return null;
+        return {
+            latitude: SkyArchiveDataService.calculateMedian(located.map(r => r.lat)),
+            longitude: SkyArchiveDataService.calculateMedian(located.map(r => r.lon))
+        };
+    }
+
+    // Session identifier in the archive's convention, e.g. "2024-09-03_47.368889N_013.938056E".
+    function exactIdentifier(date, latitude, longitude) {
+        const latPart = `${Math.abs(latitude).toFixed(6)}${latitude < 0 ? 'S' : 'N'}`;
+        const lonPart = `${Math.abs(longitude).toFixed(6).padStart(10, '0')}${longitude < 0 ? 'W' : 'E'}`;
+        return `${date}_${latPart}_${lonPart}`;
+    }
+
+    // Parses an identifier such as "2024-09-03_47.368889N_013.938056E" into
+    // { date, latitude, longitude }, or null if it does not follow the convention.
+    function parseIdentifier(identifier) {
+        const match = /^(\d{4}-\d{2}-\d{2})_(\d+(?:\.\d+)?)([NS])_(\d+(?:\.\d+)?)([EW])$/.exec(identifier || '');
+        if (!match) return null;
+        return {
+            date: match[1],
+            latitude: parseFloat(match[2]) * (match[3] === 'S' ? -1 : 1),
+            longitude: parseFloat(match[4]) * (match[5] === 'W' ? -1 : 1)
+        };
+    }
+
+    // Folder name of a place in the archive layout (spaces become underscores).
+    function folderName(name) {
+        return String(name).trim().replace(/\s+/g, '_');
+    }
+
+    // Place name from its folder name (underscores become spaces).
+    function placeName(folder) {
+        return String(folder).replace(/_/g, ' ');
+    }
+
+    // Archive paths of a session's files: { previewUrl, panoramaUrl, sqmFileUrl }.
+    function sessionPaths(country, region, locality, identifier, panoNum = DEFAULT_OPTIONS.panoNum) {
+        const folder = [country, region, locality].map(folderName).concat(identifier, panoNum).join('/');
+        const prefix = `${identifier}_${panoNum}`;
+        return {
+            previewUrl: `img/panoramas/${folder}/${prefix}_rectilinear_preview.jpg`,
+            panoramaUrl: `img/panoramas/${folder}/${prefix}_rectilinear_8k.jpg`,
+            sqmFileUrl: `data/sqm_readings/${folder}/${prefix}_SQM.txt`
+        };
+    }
+
+    // Manifest entry in the archive's field order. Date and coordinates come
+    // from `details` or else from the identifier; camera fields default to empty.
+    function buildEntry(details) {
+        const identifier = details.exactIdentifier || '';
+        const panoNum = details.panoNum || DEFAULT_OPTIONS.panoNum;
+        const parsed = parseIdentifier(identifier) || { date: '', latitude: null, longitude: null };
+        const country = details.country || '';
+        const region = details.region || '';
+        const locality = details.locality || '';
+        const entry = {
+            country: country,
+            region: region,
+            locality: locality,
+            exactIdentifier: identifier,
+            panoNum: panoNum,
+            date: details.date || parsed.date,
+            latitude: Number.isFinite(details.latitude) ? details.latitude : parsed.latitude,
+            longitude: Number.isFinite(details.longitude) ? details.longitude : parsed.longitude,
+            ...sessionPaths(country, region, locality, identifier, panoNum),
+            camera: details.camera || '',
+            lens: details.lens || '',
+            fStop: details.fStop || '',
+            exposure: details.exposure || '',
+            iso: details.iso || ''
+        };
+        if (details.sqmFormat) entry.sqmFormat = details.sqmFormat;
+        if (details.timeZone) entry.timeZone = details.timeZone;
+        return entry;
+    }
+
+    // Draft manifest entry for a processed log (SkyArchiveDataService.processSqmText).
+    // `details` supplies what the log cannot: country, region, locality, camera
+    // settings, and the sqmFormat/timeZone the session was parsed with.
+    // Date and coordinates come from the log unless given.
+    function draftEntry(sqmResult, details = {}, overrides = {}) {
+        const options = { ...DEFAULT_OPTIONS, ...overrides };
+        const date = details.date || sessionDate(sqmResult.records, options) || '';
+        const position = logPosition(sqmResult.records) || { latitude: null, longitude: null };
+        const round = value => (value !== null ? parseFloat(value.toFixed(6)) : null);
+        const latitude = round(Number.isFinite(details.latitude) ? details.latitude : position.latitude);
+        const longitude = round(Number.isFinite(details.longitude) ? details.longitude : position.longitude);
+        // Only sessions that differ from the defaults need a format.
+        const format = details.sqmFormat || (sqmResult.metadata && sqmResult.metadata.format);
+        return buildEntry({
+            ...details,
+            exactIdentifier: date && latitude !== null && longitude !== null ? exactIdentifier(date, latitude, longitude) : '',
+            panoNum: details.panoNum || options.panoNum,
+            date: date,
+            latitude: latitude,
+            longitude: longitude,
+            sqmFormat: format !== 'tas54d' ? format : null
+        });
+    }
+
+    return {
+        DEFAULT_OPTIONS: DEFAULT_OPTIONS,
+        sessionDate: sessionDate,
+        logPosition: logPosition,
+        exactIdentifier: exactIdentifier,
+        parseIdentifier: parseIdentifier,
+        folderName: folderName,
+        placeName: placeName,
+        sessionPaths: sessionPaths,
+        buildEntry: buildEntry,
+        draftEntry: draftEntry
+    };
+})();
+
+// Node tools (tools/) load the service as a CommonJS module.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SkyArchiveManifestService;
+}
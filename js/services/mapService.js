@@ -3,6 +3,288 @@
 
 const SkyArchiveMapService = (() => {
 
+    // Tile layers of the map. `offline` marks the layers whose tiles may be
+    // saved for offline use (the OpenStreetMap tile policy forbids bulk downloads).
+    // The base maps' providers come from SkyArchiveTileProviders.
+    const TILE_LAYERS = {
+        dark: SkyArchiveTileProviders.PROVIDERS.dark,
+        light: SkyArchiveTileProviders.PROVIDERS.light,
+        osm: SkyArchiveTileProviders.PROVIDERS.osm,
+        lightPollution: {
+            id: 'lightPollution', label: 'World Light Pollution', offline: true,
+            url: 'img/map_overlays/LP_2024/{z}/{x}/{y}.png',
+            options: { opacity: 0.75, attribution: '', minZoom: 1, maxNativeZoom: 7, maxZoom: 19, tms: false, className: 'world-lp-tiles' }
+        }
+    };
+
+    // Classes of the "number of readings" metric, most readings first. Logs
+    // usually hold one reading per minute or per 30 seconds.
+    const COUNT_CLASSES = [
+        { id: 'count250', label: 'Long log', min: 250, color: '#1F3A75', range: '≥ 250' },
+        { id: 'count140', label: 'Full log', min: 140, color: '#004EB3', range: '140–249' },
+        { id: 'count60', label: 'Short log', min: 60, color: '#DADA00', range: '60–139' },
+        { id: 'countFew', label: 'Few readings', min: -Infinity, color: '#FF5600', range: '< 60' }
+    ];
+
+    // Value of an entry's precomputed statistics (sqm_stats.json), if present.
+    function statistic(item, key) {
+        return item.sqmStats ? item.sqmStats[key] : undefined;
+    }
+
+    // Values the observation markers can be coloured by. `classes` defaults
+    // to the darkness scale (SkyArchiveDarknessScale.CLASSES).
+    const MARKER_METRICS = {
+        median: { id: 'median', label: 'Median (Alt > 45°)', unit: 'mag/arcsec²', value: item => item.medianSqm },
+        zenith: { id: 'zenith', label: 'Zenith', unit: 'mag/arcsec²', value: item => statistic(item, 'zenith') },
+        darkest: { id: 'darkest', label: 'Darkest reading', unit: 'mag/arcsec²', value: item => statistic(item, 'max') },
+        horizonBrightest: { id: 'horizonBrightest', label: 'Brightest horizon reading', unit: 'mag/arcsec²', value: item => statistic(item, 'horizonBrightest') },
+        count: { id: 'count', label: 'Number of readings', unit: 'readings', classes: COUNT_CLASSES, value: item => statistic(item, 'count') }
+    };
+
+    function metricClasses(metric) {
+        return metric.classes || SkyArchiveDarknessScale.CLASSES;
+    }
+
+    // The class entry (with its colours) of an entry under a metric.
+    function metricClass(item, metric) {
+        return SkyArchiveDarknessScale.classify(metric.value(item), metricClasses(metric));
+    }
+
+    // Formatted metric value of an entry, e.g. "21.35 mag/arcsec²" or "N/A".
+    function formatMetric(item, metric) {
+        const value = parseFloat(metric.value(item));
+        if (!Number.isFinite(value)) return 'N/A';
+        return metric.unit === 'mag/arcsec²' ? `${value.toFixed(2)} ${metric.unit}` : `${value} ${metric.unit}`;
+    }
+
+    // Classes of the measured-minus-atlas residual (mag/arcsec²), darker than
+    // modelled first.
+    const RESIDUAL_CLASSES = [
+        { id: 'muchDarker', label: 'Much darker than atlas', min: 0.5, color: '#2166AC', range: '≥ +0.5' },
+        { id: 'darker', label: 'Darker than atlas', min: 0.15, color: '#67A9CF', range: '+0.15 – +0.5' },
+        { id: 'matches', label: 'Matches atlas', min: -0.15, color: '#F7F7F7', range: '±0.15' },
+        { id: 'brighter', label: 'Brighter than atlas', min: -0.5, color: '#EF8A62', range: '−0.5 – −0.15' },
+        { id: 'muchBrighter', label: 'Much brighter than atlas', min: -Infinity, color: '#B2182B', range: '< −0.5' }
+    ];
+
+    // Measured value compared with the atlas, which models the zenith: the
+    // zenith statistic, else the median.
+    function measuredZenith(item) {
+        const zenith = statistic(item, 'zenith');
+        return Number.isFinite(zenith) ? zenith : parseFloat(item.medianSqm);
+    }
+
+    function formatResidual(value) {
+        return `${value > 0 ? '+' : value < 0 ? '−' : '±'}${Math.abs(value).toFixed(2)}`;
+    }
+
+    // Ranking of the darkest site finder.
+    const FINDER_OPTIONS = {
+        baselineSqm: 18.0,          // Darkness is the median SQM above this (the brightest city skies).
+        minDistanceKm: 1,           // Sites closer than this count as this far, so the score stays finite.
+        maxResults: 10              // Sites listed.
+    };
+
+    // Observation entries ({ item }) with a median, ranked for a trip from
+    // `origin` ({ lat, lng }). `sortBy` is 'score' (darkness per km, best
+    // first), 'distance' (nearest first) or 'darkness' (darkest first).
+    // Returns [{ entry, distanceKm, bearing, sqm, score }].
+    function rankSites(origin, entries, sortBy = 'score', overrides = {}) {
+        const options = { ...FINDER_OPTIONS, ...overrides };
+        const sites = entries
+            .map(entry => ({ entry: entry, sqm: parseFloat(entry.item.medianSqm) }))
+            .filter(site => Number.isFinite(site.sqm))
+            .map(site => {
+                const distanceKm = SkyArchiveGeoService.calculateDistance(origin.lat, origin.lng, site.entry.item.latitude, site.entry.item.longitude);
+                return {
+                    ...site,
+                    distanceKm: distanceKm,
+                    bearing: SkyArchiveGeoService.calculateBearing(origin.lat, origin.lng, site.entry.item.latitude, site.entry.item.longitude),
+                    score: (site.sqm - options.baselineSqm) / Math.max(distanceKm, options.minDistanceKm)
+                };
+            });
+        const compare = {
+            score: (a, b) => b.score - a.score,
+            distance: (a, b) => a.distanceKm - b.distanceKm,
+            darkness: (a, b) => b.sqm - a.sqm || a.distanceKm - b.distanceKm
+        }[sortBy] || ((a, b) => b.score - a.score);
+        return sites.sort(compare).slice(0, options.maxResults);
+    }
+
+    const SURFACE_CELL_PX = 4; // Screen size of the measured surface's interpolation cells.
+    const SURFACE_DISTANCES_KM = [5, 10, 15, 25, 50]; // Reach of the measured surface offered in its legend.
+
+    // Style of imported overlays, set apart from the observation markers.
+    const IMPORT_STYLE = { color: '#4FC3F7', weight: 2, opacity: 0.9, fillColor: '#FFFFFF', fillOpacity: 0.9 };
+
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    // Popup of an imported feature: its name and a table of its other properties.
+    function buildImportPopup(properties) {
+        const title = properties.name || properties.title || 'Imported feature';
+        const rows = Object.keys(properties)
+            .filter(key => key !== 'name' && properties[key] !== null && properties[key] !== undefined && typeof properties[key] !== 'object')
+            .map(key => {
+                const value = String(properties[key]);
+                const cell = /^https?:\/\//.test(value)
+                    ? `<a href="${escapeHtml(value)}" target="_blank" rel="noopener">${escapeHtml(value)}</a>`
+                    : escapeHtml(value);
+                return `<tr><th>${escapeHtml(key)}</th><td>${cell}</td></tr>`;
+            });
+        return `<h4>${escapeHtml(title)}</h4>` +
+            (rows.length > 0 ? `<table class="import-popup-table">${rows.join('')}</table>` : '<p>No properties.</p>');
+    }
+
+    // --- Shareable Map State ---
+    // The map view is mirrored in the page's query string, e.g.
+    // ?map=47.36889,13.93806,9&base=dark&overlays=points,lightPollution&lp=0.5&country=Austria&popup=<session>
+
+    const FILTER_PARAMS = ['dateFrom', 'dateTo', 'sqmMin', 'sqmMax', 'classes', 'country', 'region', 'camera', 'lens'];
+    const STATE_PARAMS = ['map', 'base', 'overlays', 'lp', 'metric', 'popup'].concat(FILTER_PARAMS);
+    const HISTORY_MERGE_MS = 1000; // Discrete changes closer together than this replace the last history entry instead of adding one.
+
+    // Identifier of a session in map links, as in the export service.
+    function sessionKey(item) {
+        return item.exactIdentifier ? `${item.exactIdentifier}_${item.panoNum || ''}`.replace(/_$/, '') : (item.sqmFileUrl || item.panoramaUrl || '');
+    }
+
+    // Map state of a query string, or null if it holds none: { center, zoom,
+    // base, overlays, lpOpacity, metric, filters, popup }. `base` and
+    // `overlays` are ids of the layers in initMap.
+    function readMapState(search) {
+        const params = new URLSearchParams(search);
+        const view = (params.get('map') || '').split(',').map(parseFloat);
+        if (view.length !== 3 || !view.every(Number.isFinite)) return null;
+        const filters = {};
+        FILTER_PARAMS.forEach(key => {
+            if (params.has(key)) filters[key] = key === 'classes' ? params.get(key).split(',').filter(Boolean) : params.get(key);
+        });
+        const lpOpacity = parseFloat(params.get('lp'));
+        return {
+            center: [view[0], view[1]],
+            zoom: view[2],
+            base: params.get('base') || 'dark',
+            overlays: params.has('overlays') ? params.get('overlays').split(',').filter(Boolean) : ['points', 'lightPollution'],
+            lpOpacity: Number.isFinite(lpOpacity) ? lpOpacity : null,
+            metric: params.get('metric') || 'median',
+            filters: filters,
+            popup: params.get('popup') || null
+        };
+    }
+
+    // Query string of a map state; parameters of `search` that are not part
+    // of the map state are kept.
+    function mapStateQuery(state, search = '') {
+        const params = new URLSearchParams(search);
+        STATE_PARAMS.forEach(key => params.delete(key));
+        params.set('map', `${state.center[0].toFixed(5)},${state.center[1].toFixed(5)},${state.zoom}`);
+        params.set('base', state.base);
+        params.set('overlays', state.overlays.join(','));
+        if (state.lpOpacity !== null) params.set('lp', state.lpOpacity);
+        if (state.metric && state.metric !== 'median') params.set('metric', state.metric);
+        Object.entries(state.filters || {}).forEach(([key, value]) => {
+            if (!FILTER_PARAMS.includes(key)) return;
+            if (Array.isArray(value)) {
+                if (value.length > 0) params.set(key, value.join(','));
+            } else if (value !== null && value !== undefined && value !== '') {
+                params.set(key, value);
+            }
+        });
+        if (state.popup) params.set('popup', state.popup);
+        return params.toString().replace(/%2C/g, ',');
+    }
+
+    // Days since 1970-01-01 of a "YYYY-MM-DD" date, and back.
+    function dayNumber(date) {
+        return Math.round(Date.parse(`${date}T00:00:00Z`) / 86400000);
+    }
+
+    function dateFromDayNumber(day) {
+        return new Date(day * 86400000).toISOString().slice(0, 10);
+    }
+
+    // Popup of an observation marker; the marker metric's value and class are
+    // shown below the median. `atlas` is the { sqm, residual } comparison with
+    // the light pollution atlas, once sampled.
+    function buildPopup(item, metric, atlas) {
+        let popupContent = `<h3>${item.locationName || item.locality || 'Unknown Location'}</h3>`;
+        if (item.locality && item.region && item.country && item.locationName !== `${item.locality}, ${item.region}, ${item.country}`) {
+             const structuredLocation = [item.locality, item.region, item.country].filter(Boolean).join(', ');
+             if (structuredLocation) popupContent += `<p><small>${structuredLocation}</small></p>`;
+        }
+        popupContent += `<p><strong>Lat/Lon:</strong> ${item.latitude?.toFixed(4)}, ${item.longitude?.toFixed(4)}</p>`;
+        popupContent += `<p><strong>Date:</strong> ${item.date}</p>`;
+        popupContent += `<p><strong>Median SQM (Alt > 45°):</strong> ${item.medianSqm} mag/arcsec²</p>`;
+        const markerClass = metricClass(item, metric);
+        if (metric.id === 'median') {
+            popupContent += `<p><small>Darkness: ${markerClass.label}${markerClass.description ? ` (${markerClass.description})` : ''}</small></p>`;
+        } else {
+            popupContent += `<p><strong>${metric.label}:</strong> ${formatMetric(item, metric)} (${markerClass.label})</p>`;
+        }
+        const photometry = SkyArchivePhotometryService.describe(item.medianSqm);
+        if (photometry) {
+            popupContent += `<p><small>Bortle ${photometry.bortle} (est.) | NELM ${photometry.nelm.toFixed(1)} | ${photometry.luminance.toFixed(2)} mcd/m² | Artificial/natural: ${photometry.artificialRatio.toFixed(1)}×</small></p>`;
+        }
+        if (item.medianSqmOutsideMilkyWay && item.medianSqmOutsideMilkyWay !== item.medianSqm) {
+            popupContent += `<p><small>Excluding the Milky Way band: ${item.medianSqmOutsideMilkyWay} mag/arcsec²</small></p>`;
+        }
+        if (atlas) {
+            popupContent += `<p><small>Atlas (LP 2024) zenith: ${atlas.sqm.toFixed(2)} mag/arcsec² | Measured − atlas: <strong>${formatResidual(atlas.residual)}</strong></small></p>`;
+        }
+        if (typeof SkyArchiveOfflineService !== 'undefined' && SkyArchiveOfflineService.isSessionSaved(item)) {
+            popupContent += `<p><small><i class="fas fa-download"></i> Saved for offline use</small></p>`;
+        }
+        if (item.camera || item.lens || item.fStop || item.exposure || item.iso) {
+             popupContent += `<p style="font-size: 0.9em; color: #ccc;">`;
+             let details = [];
+             if (item.camera) details.push(`Camera: ${item.camera}`);
+             if (item.lens) details.push(`Lens: ${item.lens}mm`);
+             if (item.fStop) details.push(`f/${item.fStop}`);
+             if (item.exposure) details.push(`Exp: ${item.exposure}s`);
+             if (item.iso) details.push(`ISO: ${item.iso}`);
+             popupContent += details.join(' | ');
+             popupContent += `</p>`;
+        }
+        popupContent += `<hr>`;
+
+        const safeTitle = (item.locationName || item.locality || "Panorama").replace(/'/g, "\\'");
+        const safeDate = (item.date || "N/A").replace(/'/g, "\\'");
+        const safeMedianSqm = String(item.medianSqm).replace(/'/g, "\\'");
+        const safePanoUrl = item.panoramaUrl ? item.panoramaUrl.replace(/'/g, "\\'") : '';
+        const safeSqmFileUrl = item.sqmFileUrl ? item.sqmFileUrl.replace(/'/g, "\\'") : '';
+        const safeLatitude = String(item.latitude || '').replace(/'/g, "\\'");
+        const safeLongitude = String(item.longitude || '').replace(/'/g, "\\'");
+
+        popupContent += `<button onclick="viewPanorama('${safeTitle}', '${safeDate}', '${safeMedianSqm}', '${safePanoUrl}', '${safeSqmFileUrl}', '${safeLatitude}', '${safeLongitude}')" class="btn btn-popup" ${!item.panoramaUrl ? 'disabled title="Panorama not available"' : ''}>`;
+        popupContent += `<i class="fas fa-binoculars"></i> View Panorama`;
+        popupContent += `</button>`;
+
+        const encodedSqmFile = encodeURIComponent(item.sqmFileUrl || '');
+        const encodedLocation = encodeURIComponent(item.locationName || item.locality || 'Unknown');
+        const encodedDate = encodeURIComponent(item.date || 'N/A');
+        const encodedLat = encodeURIComponent(item.latitude || '');
+        const encodedLon = encodeURIComponent(item.longitude || '');
+        const encodedPanoUrl = encodeURIComponent(item.panoramaUrl || '');
+        let dataViewerUrl = `data-viewer.html?sqmFile=${encodedSqmFile}&location=${encodedLocation}&date=${encodedDate}&lat=${encodedLat}&lon=${encodedLon}&panoramaUrl=${encodedPanoUrl}`;
+        if (item.sqmFormat) dataViewerUrl += `&sqmFormat=${encodeURIComponent(item.sqmFormat)}`;
+        if (item.timeZone) dataViewerUrl += `&timeZone=${encodeURIComponent(item.timeZone)}`;
+
+        popupContent += `<button onclick="window.location.href='${dataViewerUrl}'" class="btn btn-popup btn-secondary" style="margin-top: 5px;" ${!item.sqmFileUrl ? 'disabled title="SQM data file not available"' : ''}>`;
+        popupContent += `<i class="fas fa-chart-bar"></i> View Data Visualization`;
+        popupContent += `</button>`;
+
+        if (item.siteId && item.siteSessionCount > 1) {
+            popupContent += `<button onclick="window.location.href='site-history.html?site=${encodeURIComponent(item.siteId)}'" class="btn btn-popup btn-secondary" style="margin-top: 5px;">`;
+            popupContent += `<i class="fas fa-chart-line"></i> Site History (${item.siteSessionCount} sessions)`;
+            popupContent += `</button>`;
+        }
+        return popupContent;
+    }
+
+    let currentMap = null;
+
     // Initializes the Leaflet map with tile layers, markers, and controls.
     // `processedData` is an array of panorama objects with location and SQM info.
     function initMap(processedData) {
@@ -20,139 +302,143 @@ const SkyArchiveMapService = (() => {
             return;
         }
 
-        const map = L.map(mapElement, {
-            center: [47.0, 10.0], // Centered roughly on Europe
-            zoom: 5,
+        // A shared link opens at its view (see Shareable Map State).
+        const urlState = readMapState(window.location.search);
+        let restoringUrlState = false;
+        let urlStateReady = false;
+        let lastHistoryEntry = 0; // Time the last history entry was added.
+        let openEntry = null; // Entry whose popup is open.
+
+        const map = currentMap = L.map(mapElement, {
+            center: urlState ? urlState.center : [47.0, 10.0], // Centered roughly on Europe
+            zoom: urlState ? urlState.zoom : 5,
             zoomControl: true,
             preferCanvas: true,
             attributionControl: false
         });
 
         // --- Base Tile Layers ---
-        const cartoDBDarkMatter = L.tileLayer('https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png', {
-            attribution: '', subdomains: 'abcd', maxZoom: 19
-        });
-        const cartoDBPositron = L.tileLayer('https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png', {
-            attribution: '', subdomains: 'abcd', maxZoom: 19
-        });
-        const openStreetMap = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-            attribution: '', maxZoom: 19
-        });
+        // Each falls back to the next provider of its chain when its tiles keep failing.
+        const cartoDBDarkMatter = SkyArchiveTileProviders.createLayer('dark');
+        const cartoDBPositron = SkyArchiveTileProviders.createLayer('light');
+        const openStreetMap = SkyArchiveTileProviders.createLayer('osm');
+        const baseLayers = [cartoDBDarkMatter, cartoDBPositron, openStreetMap];
 
         // --- Overlay Tile Layers ---
-        const worldLPTileUrl = 'img/map_overlays/LP_2024/{z}/{x}/{y}.png';
-        const worldLPLayer = L.tileLayer(worldLPTileUrl, {
-            opacity: 0.75, attribution: '', minZoom: 1, maxNativeZoom: 7, maxZoom: 19, tms: false, className: 'world-lp-tiles'
-        });
+        const worldLPLayer = L.tileLayer(TILE_LAYERS.lightPollution.url, TILE_LAYERS.lightPollution.options);
 
         // --- Marker Cluster Group ---
         const markers = L.markerClusterGroup({
             spiderfyOnMaxZoom: true, showCoverageOnHover: false, zoomToBoundsOnClick: true
         });
 
-        const baseMaps = {
-            "Dark Map": cartoDBDarkMatter,
-            "Light Map": cartoDBPositron,
-            "OpenStreetMap": openStreetMap
-        };
+        const baseMaps = {};
+        baseLayers.forEach(layer => { baseMaps[SkyArchiveTileProviders.layerName(layer)] = layer; });
+        // Measured-minus-atlas residual of each shown point, filled once the
+        // atlas has been sampled (see Atlas Comparison below).
+        const residualLayer = L.layerGroup();
+
+        // Medians of the shown points interpolated between them, drawn in the
+        // darkness class colours (see Measured Surface below).
+        const surfaceOptions = { ...SkyArchiveSurfaceInterpolation.DEFAULT_OPTIONS };
+        let surfaceSamples = [];
+        const SurfaceLayer = L.GridLayer.extend({
+            createTile: function(coords) {
+                const tile = L.DomUtil.create('canvas', 'leaflet-tile');
+                const size = this.getTileSize();
+                tile.width = size.x;
+                tile.height = size.y;
+                const origin = coords.scaleBy(size);
+                const northWest = map.unproject(origin, coords.z);
+                const southEast = map.unproject(origin.add(size), coords.z);
+                const tileBounds = { north: northWest.lat, south: southEast.lat, east: southEast.lng, west: northWest.lng };
+                if (!SkyArchiveSurfaceInterpolation.reachesBounds(surfaceSamples, tileBounds, surfaceOptions)) return tile;
+                const ctx = tile.getContext('2d');
+                for (let y = 0; y < size.y; y += SURFACE_CELL_PX) {
+                    for (let x = 0; x < size.x; x += SURFACE_CELL_PX) {
+                        const latlng = map.unproject(origin.add([x + SURFACE_CELL_PX / 2, y + SURFACE_CELL_PX / 2]), coords.z);
+                        const value = SkyArchiveSurfaceInterpolation.interpolateSamples(surfaceSamples, latlng.lat, latlng.lng, surfaceOptions);
+                        if (value === null) continue;
+                        ctx.fillStyle = SkyArchiveDarknessScale.colorFor(value);
+                        ctx.fillRect(x, y, SURFACE_CELL_PX, SURFACE_CELL_PX);
+                    }
+                }
+                return tile;
+            }
+        });
+        const surfaceLayer = new SurfaceLayer({ opacity: 0.6, zIndex: 10, className: 'measured-surface-tiles' });
+
         const overlayMaps = {
             "Observation Points": markers,
-            "World Light Pollution": worldLPLayer
+            "World Light Pollution": worldLPLayer,
+            "Measured − Atlas": residualLayer,
+            "Measured Surface": surfaceLayer
         };
 
         cartoDBDarkMatter.addTo(map); // Default base layer
 
         // --- Populate Markers ---
+        // Markers are coloured by the class of the chosen metric (MARKER_METRICS).
+        let currentMetric = MARKER_METRICS.median;
+        function markerStyle(item) {
+            const markerClass = metricClass(item, currentMetric);
+            return {
+                fillColor: markerClass.color,
+                color: markerClass === SkyArchiveDarknessScale.NO_DATA ? '#000' : (markerClass.outline || '#000')
+            };
+        }
+
+        const markerEntries = [];
         if (!processedData || processedData.length === 0) {
             console.warn("No processed data available to populate the map markers.");
         } else {
             processedData.forEach(item => {
-                const representativeSqm = parseFloat(item.medianSqm);
-                let markerColor;
-                if (isNaN(representativeSqm)) markerColor = '#808080';
-                else if (representativeSqm >= 21.76) markerColor = '#000000';
-                else if (representativeSqm >= 21.6) markerColor = '#4D4D4D';
-                else if (representativeSqm >= 21.3) markerColor = '#1F3A75';
-                else if (representativeSqm >= 20.8) markerColor = '#004EB3';
-                else if (representativeSqm >= 20.3) markerColor = '#2E8A00';
-                else if (representativeSqm >= 19.25) markerColor = '#DADA00';
-                else if (representativeSqm >= 18.5) markerColor = '#FF5600';
-                else if (representativeSqm >= 18.0) markerColor = '#DF73FF';
-                else markerColor = '#E5C9FF';
-
-                let markerOptions = {
+                const marker = L.circleMarker([item.latitude, item.longitude], {
                      radius: 8,
-                     fillColor: markerColor,
-                     color: markerColor === '#000000' ? '#CCCCCC' : '#000',
                      weight: 1,
                      opacity: 1,
-                     fillOpacity: 0.8
-                };
-
-                const marker = L.circleMarker([item.latitude, item.longitude], markerOptions);
+                     fillOpacity: 0.8,
+                     ...markerStyle(item)
+                });
 
-                let popupContent = `<h3>${item.locationName || item.locality || 'Unknown Location'}</h3>`;
-                if (item.locality && item.region && item.country && item.locationName !== `${item.locality}, ${item.region}, ${item.country}`) {
-                     const structuredLocation = [item.locality, item.region, item.country].filter(Boolean).join(', ');
-                     if (structuredLocation) popupContent += `<p><small>${structuredLocation}</small></p>`;
-                }
-                popupContent += `<p><strong>Lat/Lon:</strong> ${item.latitude?.toFixed(4)}, ${item.longitude?.toFixed(4)}</p>`;
-                popupContent += `<p><strong>Date:</strong> ${item.date}</p>`;
-                popupContent += `<p><strong>Median SQM (Alt > 45°):</strong> ${item.medianSqm} mag/arcsec²</p>`;
-                if (item.camera || item.lens || item.fStop || item.exposure || item.iso) {
-                     popupContent += `<p style="font-size: 0.9em; color: #ccc;">`;
-                     let details = [];
-                     if (item.camera) details.push(`Camera: ${item.camera}`);
-                     if (item.lens) details.push(`Lens: ${item.lens}mm`);
-                     if (item.fStop) details.push(`f/${item.fStop}`);
-                     if (item.exposure) details.push(`Exp: ${item.exposure}s`);
-                     if (item.iso) details.push(`ISO: ${item.iso}`);
-                     popupContent += details.join(' | ');
-                     popupContent += `</p>`;
-                }
-                popupContent += `<hr>`;
-
-                const safeTitle = (item.locationName || item.locality || "Panorama").replace(/'/g, "\\'");
-                const safeDate = (item.date || "N/A").replace(/'/g, "\\'");
-                const safeMedianSqm = String(item.medianSqm).replace(/'/g, "\\'");
-                const safePanoUrl = item.panoramaUrl ? item.panoramaUrl.replace(/'/g, "\\'") : '';
-                const safeSqmFileUrl = item.sqmFileUrl ? item.sqmFileUrl.replace(/'/g, "\\'") : '';
-                const safeLatitude = String(item.latitude || '').replace(/'/g, "\\'");
-                const safeLongitude = String(item.longitude || '').replace(/'/g, "\\'");
-
-                popupContent += `<button onclick="viewPanorama('${safeTitle}', '${safeDate}', '${safeMedianSqm}', '${safePanoUrl}', '${safeSqmFileUrl}', '${safeLatitude}', '${safeLongitude}')" class="btn btn-popup" ${!item.panoramaUrl ? 'disabled title="Panorama not available"' : ''}>`;
-                popupContent += `<i class="fas fa-binoculars"></i> View Panorama`;
-                popupContent += `</button>`;
-
-                const encodedSqmFile = encodeURIComponent(item.sqmFileUrl || '');
-                const encodedLocation = encodeURIComponent(item.locationName || item.locality || 'Unknown');
-                const encodedDate = encodeURIComponent(item.date || 'N/A');
-                const encodedLat = encodeURIComponent(item.latitude || '');
-                const encodedLon = encodeURIComponent(item.longitude || '');
-                const encodedPanoUrl = encodeURIComponent(item.panoramaUrl || '');
-                const dataViewerUrl = `data-viewer.html?sqmFile=${encodedSqmFile}&location=${encodedLocation}&date=${encodedDate}&lat=${encodedLat}&lon=${encodedLon}&panoramaUrl=${encodedPanoUrl}`;
-
-                popupContent += `<button onclick="window.location.href='${dataViewerUrl}'" class="btn btn-popup btn-secondary" style="margin-top: 5px;" ${!item.sqmFileUrl ? 'disabled title="SQM data file not available"' : ''}>`;
-                popupContent += `<i class="fas fa-chart-bar"></i> View Data Visualization`;
-                popupContent += `</button>`;
-
-                marker.bindPopup(popupContent, { maxWidth: 280 });
-                markers.addLayer(marker);
+                const entry = { item: item, marker: marker, atlas: null };
+                marker.bindPopup(() => buildPopup(item, currentMetric, entry.atlas), { maxWidth: 280 });
+                marker.on('popupopen', () => {
+                    openEntry = entry;
+                    writeUrlState(true);
+                });
+                marker.on('popupclose', () => {
+                    if (openEntry === entry) openEntry = null;
+                    writeUrlState(true);
+                });
+                markerEntries.push(entry);
             });
         }
 
         const layersControl = L.control.layers(baseMaps, overlayMaps, { position: 'bottomright' });
         layersControl.addTo(map);
 
+        // The base map names show their active provider; a fallback renames
+        // them, after the control has finished handling a click that added the layer.
+        baseLayers.forEach(layer => layer.on('providerchange', () => setTimeout(() => {
+            baseLayers.forEach(baseLayer => layersControl.removeLayer(baseLayer));
+            baseLayers.forEach(baseLayer => layersControl.addBaseLayer(baseLayer, SkyArchiveTileProviders.layerName(baseLayer)));
+            addOpacitySlider();
+        }, 0)));
+
         markers.addTo(map);
         worldLPLayer.addTo(map);
 
-        setTimeout(() => {
+        // Opacity slider under the light pollution overlay's entry. The
+        // layers control rebuilds its list when layers change in code, so the
+        // slider is added again after each change.
+        function addOpacitySlider() {
             const controlContainer = layersControl.getContainer();
             if (!controlContainer) {
                 console.warn("Layer control container not found for opacity slider.");
                 return;
             }
+            if (controlContainer.querySelector('.opacity-slider-container')) return;
             const overlayLabels = controlContainer.querySelectorAll('.leaflet-control-layers-overlays label');
             overlayLabels.forEach(labelNode => {
                 if (labelNode.textContent && labelNode.textContent.includes("World Light Pollution")) {
@@ -173,47 +459,686 @@ const SkyArchiveMapService = (() => {
                     sliderInput.addEventListener('input', function() {
                         worldLPLayer.setOpacity(this.value);
                         valueDisplay.textContent = Math.round(parseFloat(this.value) * 100) + '%';
+                        writeUrlState();
                     });
                     labelNode.parentNode.insertBefore(sliderContainer, labelNode.nextSibling);
                 }
             });
-        }, 100);
+        }
+        setTimeout(addOpacitySlider, 100);
+        map.on('overlayadd overlayremove baselayerchange', addOpacitySlider);
 
         const legend = L.control({ position: 'bottomright' });
+        let legendRows = null;
+        let metricSelect = null;
         legend.onAdd = function(map) {
             const div = L.DomUtil.create('div', 'info legend leaflet-control-layers');
             const legendHeader = L.DomUtil.create('div', 'legend-header', div);
             legendHeader.innerHTML = '<span class="legend-icon-span material-icons">info</span>';
             const legendContent = L.DomUtil.create('div', 'legend-content', div);
-            const legendData = [
-                { sqm: "≥ 21.76", color: "#000000", outline: "#CCCCCC", label: "Class 1" },
-                { sqm: "21.6–21.75", color: "#4D4D4D", label: "Class 2" },
-                { sqm: "21.3–21.6", color: "#1F3A75", label: "Class 3" },
-                { sqm: "20.8–21.3", color: "#004EB3", label: "Class 4" },
-                { sqm: "20.3–20.8", color: "#2E8A00", label: "Class 4.5" },
-                { sqm: "19.25–20.3", color: "#DADA00", label: "Class 5" },
-                { sqm: "18.5–19.25", color: "#FF5600", label: "Class 6" },
-                { sqm: "18.0–18.5", color: "#DF73FF", label: "Class 7" },
-                { sqm: "< 18.0", color: "#E5C9FF", label: "Class 8/9" },
-                { sqm: "N/A", color: "#808080", outline: "#FF0000", label: "No Data"}
-            ];
-            let labelsHtml = [];
-            legendData.forEach(item => {
-                const outlineStyle = item.outline ? `border: 1px solid ${item.outline};` : '';
-                labelsHtml.push(
-                    `<i style="background:${item.color}; ${outlineStyle} width: 18px; height: 18px; float: left; margin-right: 8px; opacity: 0.8;"></i> ${item.sqm} (${item.label})`
-                );
-            });
-            legendContent.innerHTML = labelsHtml.join('<br>');
+            metricSelect = L.DomUtil.create('select', 'map-metric-select', legendContent);
+            metricSelect.setAttribute('aria-label', 'Colour markers by');
+            metricSelect.innerHTML = Object.values(MARKER_METRICS)
+                .map(metric => `<option value="${metric.id}">${metric.label}</option>`).join('');
+            metricSelect.value = currentMetric.id;
+            metricSelect.addEventListener('change', () => setMetric(metricSelect.value));
+            legendRows = L.DomUtil.create('div', 'legend-rows', legendContent);
             L.DomEvent.disableClickPropagation(div);
             L.DomEvent.disableScrollPropagation(div);
             return div;
         };
         legend.addTo(map);
+
+        // Legend rows of the current metric with the number of shown markers in each class.
+        function updateLegend(shownEntries) {
+            const counts = new Map();
+            shownEntries.forEach(entry => {
+                const markerClass = metricClass(entry.item, currentMetric);
+                counts.set(markerClass, (counts.get(markerClass) || 0) + 1);
+            });
+            const noData = SkyArchiveDarknessScale.NO_DATA;
+            legendRows.innerHTML = metricClasses(currentMetric).concat(noData).map(c => {
+                const outlineStyle = c.outline ? `border: 1px solid ${c.outline};` : '';
+                const name = c === noData ? c.description : c.label;
+                return `<i style="background:${c.color}; ${outlineStyle} width: 18px; height: 18px; float: left; margin-right: 8px; opacity: 0.8;"></i> ${c.range} (${name}): ${counts.get(c) || 0}`;
+            }).join('<br>');
+        }
+
+        // Recolours the markers and the legend for another metric.
+        function setMetric(metricId) {
+            currentMetric = MARKER_METRICS[metricId] || MARKER_METRICS.median;
+            markerEntries.forEach(entry => entry.marker.setStyle(markerStyle(entry.item)));
+            if (metricSelect) metricSelect.value = currentMetric.id;
+            updateLegend(shownEntries);
+            map.closePopup();
+            writeUrlState(true);
+        }
+
+        // --- Atlas Comparison ---
+        // Each point's zenith brightness is compared with the atlas value read
+        // from the overlay tiles (SkyArchiveAtlasService). The residual layer
+        // and its legend show where the atlas over- or underestimates.
+        const residualLegend = L.control({ position: 'bottomright' });
+        let residualLegendContent = null;
+        residualLegend.onAdd = function() {
+            const div = L.DomUtil.create('div', 'info legend residual-legend leaflet-control-layers');
+            residualLegendContent = L.DomUtil.create('div', 'overlay-legend-content', div);
+            L.DomEvent.disableClickPropagation(div);
+            return div;
+        };
+
+        function updateResidualLayer() {
+            residualLayer.clearLayers();
+            const compared = shownEntries.filter(entry => entry.atlas);
+            compared.forEach(entry => residualLayer.addLayer(entry.residualMarker));
+            if (!residualLegendContent) return;
+            const counts = new Map();
+            compared.forEach(entry => {
+                const residualClass = SkyArchiveDarknessScale.classify(entry.atlas.residual, RESIDUAL_CLASSES);
+                counts.set(residualClass, (counts.get(residualClass) || 0) + 1);
+            });
+            let html = '<strong>Measured − atlas (mag/arcsec²)</strong><br>';
+            html += RESIDUAL_CLASSES.map(c =>
+                `<i style="background:${c.color}; width: 18px; height: 18px; float: left; margin-right: 8px; opacity: 0.9;"></i> ${c.range} (${c.label}): ${counts.get(c) || 0}`).join('<br>');
+            if (compared.length > 0) {
+                const residuals = compared.map(entry => entry.atlas.residual);
+                const mean = residuals.reduce((sum, value) => sum + value, 0) / residuals.length;
+                const medianResidual = SkyArchiveDataService.calculateMedian(residuals);
+                html += `<p>Mean ${formatResidual(mean)}, median ${formatResidual(medianResidual)} (n = ${compared.length})</p>`;
+            } else {
+                html += '<p>No shown point lies inside the atlas.</p>';
+            }
+            residualLegendContent.innerHTML = html;
+        }
+
+        map.on('overlayadd', event => {
+            if (event.layer !== residualLayer) return;
+            residualLegend.addTo(map);
+            updateResidualLayer();
+        });
+        map.on('overlayremove', event => {
+            if (event.layer === residualLayer) residualLegend.remove();
+        });
+
+        if (typeof SkyArchiveAtlasService !== 'undefined') {
+            Promise.all(markerEntries.map(async entry => {
+                const model = await SkyArchiveAtlasService.sampleAt(entry.item.latitude, entry.item.longitude);
+                const residual = model ? SkyArchiveAtlasService.residual(measuredZenith(entry.item), model.sqm) : null;
+                if (residual === null) return;
+                entry.atlas = { sqm: model.sqm, residual: residual };
+                const residualClass = SkyArchiveDarknessScale.classify(residual, RESIDUAL_CLASSES);
+                entry.residualMarker = L.circleMarker(entry.marker.getLatLng(), {
+                    radius: 10, weight: 1, color: '#000', opacity: 1, fillColor: residualClass.color, fillOpacity: 0.9
+                }).bindTooltip(`${entry.item.locationName || entry.item.locality || 'Observation'}: measured ${measuredZenith(entry.item).toFixed(2)}, atlas ${model.sqm.toFixed(2)} (${formatResidual(residual)})`);
+            })).then(updateResidualLayer);
+        }
+
+        // --- Measured Surface ---
+        // The surface follows the shown points and stops `maxDistanceKm` from
+        // the nearest one, so it never extends far from a measurement.
+        const surfaceLegend = L.control({ position: 'bottomright' });
+        surfaceLegend.onAdd = function() {
+            const div = L.DomUtil.create('div', 'info legend surface-legend leaflet-control-layers');
+            const content = L.DomUtil.create('div', 'overlay-legend-content', div);
+            content.innerHTML = '<strong>Measured surface (mag/arcsec²)</strong>' +
+                SkyArchiveDarknessScale.CLASSES.map(c => {
+                    const outlineStyle = c.outline ? `border: 1px solid ${c.outline};` : '';
+                    return `<i style="background:${c.color}; ${outlineStyle} width: 18px; height: 18px; float: left; margin-right: 8px; opacity: 0.8;"></i> ${c.range} (${c.label})`;
+                }).join('<br>') +
+                `<br><label>Up to <select class="surface-distance" aria-label="Surface reach">${SURFACE_DISTANCES_KM.map(km =>
+                    `<option value="${km}"${km === surfaceOptions.maxDistanceKm ? ' selected' : ''}>${km} km</option>`).join('')}</select> from a point</label>`;
+            content.querySelector('.surface-distance').addEventListener('change', event => {
+                surfaceOptions.maxDistanceKm = parseFloat(event.target.value);
+                surfaceLayer.redraw();
+            });
+            L.DomEvent.disableClickPropagation(div);
+            return div;
+        };
+
+        function updateSurface() {
+            surfaceSamples = SkyArchiveSurfaceInterpolation.prepareSamples(shownEntries.map(entry => ({
+                latitude: entry.item.latitude, longitude: entry.item.longitude, value: entry.item.medianSqm
+            })));
+            if (map.hasLayer(surfaceLayer)) surfaceLayer.redraw();
+        }
+
+        map.on('overlayadd', event => {
+            if (event.layer === surfaceLayer) surfaceLegend.addTo(map);
+        });
+        map.on('overlayremove', event => {
+            if (event.layer === surfaceLayer) surfaceLegend.remove();
+        });
+
+        // --- Shown Markers ---
+        // Markers pass the filters (SkyArchiveFilterService) and, while the
+        // timeline is active, its date range.
+        let shownEntries = markerEntries;
+        let finderRefresh = null;
+        let currentFilters = null;
+        let timelineRange = null; // { from, to } as "YYYY-MM-DD", or null to show every date
+        function updateShownMarkers() {
+            const next = markerEntries.filter(entry =>
+                (!currentFilters || SkyArchiveFilterService.matches(entry.item, currentFilters)) &&
+                (!timelineRange || (entry.item.date >= timelineRange.from && entry.item.date <= timelineRange.to)));
+            if (next.length === shownEntries.length && next.every((entry, i) => entry === shownEntries[i]) && markers.getLayers().length === next.length) return;
+            shownEntries = next;
+            markers.clearLayers();
+            markers.addLayers(shownEntries.map(entry => entry.marker));
+            updateLegend(shownEntries);
+            updateResidualLayer();
+            updateSurface();
+            if (finderRefresh) finderRefresh();
+            if (filterCount) filterCount.textContent = `Showing ${shownEntries.length} of ${markerEntries.length} observation points`;
+        }
+
+        // --- Filter Control ---
+        function applyFilters(filters) {
+            currentFilters = filters;
+            updateShownMarkers();
+            writeUrlState(true);
+        }
+
+        let filterCount = null;
+        let setFilterForm = null; // Shows filters in the filter form.
+        if (typeof SkyArchiveFilterService !== 'undefined') {
+            const filterControl = L.control({ position: 'topleft' });
+            filterControl.onAdd = function() {
+                const div = L.DomUtil.create('div', 'map-filter-control leaflet-control-layers');
+                const toggle = L.DomUtil.create('button', 'map-filter-toggle', div);
+                toggle.type = 'button';
+                toggle.title = 'Filter observation points';
+                toggle.innerHTML = '<i class="fas fa-filter"></i>';
+                const panel = L.DomUtil.create('div', 'map-filter-panel collapsed', div);
+                const form = L.DomUtil.create('div', 'map-filter-form', panel);
+                filterCount = L.DomUtil.create('p', 'map-filter-count', panel);
+                const actions = L.DomUtil.create('div', 'filter-row', panel);
+                const fitButton = L.DomUtil.create('button', 'btn', actions);
+                fitButton.type = 'button';
+                fitButton.innerHTML = '<i class="fas fa-expand-arrows-alt"></i> Fit to Results';
+                const resetButton = L.DomUtil.create('button', 'btn btn-outline', actions);
+                resetButton.type = 'button';
+                resetButton.innerHTML = '<i class="fas fa-undo"></i> Reset';
+
+                const items = markerEntries.map(entry => entry.item);
+                const formControls = SkyArchiveFilterService.renderForm(form, items, SkyArchiveFilterService.load(), filters => {
+                    SkyArchiveFilterService.save(filters);
+                    applyFilters(filters);
+                    toggle.classList.toggle('active', SkyArchiveFilterService.isActive(filters));
+                });
+                toggle.classList.toggle('active', SkyArchiveFilterService.isActive(SkyArchiveFilterService.load()));
+                setFilterForm = (filters) => {
+                    formControls.setFilters(filters);
+                    toggle.classList.toggle('active', SkyArchiveFilterService.isActive(filters));
+                };
+                toggle.onclick = () => panel.classList.toggle('collapsed');
+                fitButton.onclick = () => {
+                    if (shownEntries.length === 0) return;
+                    const bounds = L.latLngBounds(shownEntries.map(entry => entry.marker.getLatLng()));
+                    map.fitBounds(bounds, { padding: [40, 40], maxZoom: 12 });
+                };
+                resetButton.onclick = () => {
+                    SkyArchiveFilterService.save(SkyArchiveFilterService.EMPTY_FILTERS);
+                    formControls.setFilters(SkyArchiveFilterService.EMPTY_FILTERS);
+                    applyFilters(SkyArchiveFilterService.EMPTY_FILTERS);
+                    toggle.classList.remove('active');
+                };
+
+                L.DomEvent.disableClickPropagation(div);
+                L.DomEvent.disableScrollPropagation(div);
+                return div;
+            };
+            filterControl.addTo(map);
+            applyFilters(SkyArchiveFilterService.load());
+        } else {
+            markers.addLayers(markerEntries.map(entry => entry.marker));
+            updateLegend(markerEntries);
+            updateSurface();
+        }
+
+        // --- Darkest Site Finder ---
+        // Ranks the shown observation points from a clicked spot or the
+        // browser's location and draws a line to the chosen site.
+        const finderLayer = L.layerGroup().addTo(map);
+        const finderControl = L.control({ position: 'topleft' });
+        finderControl.onAdd = function() {
+            const div = L.DomUtil.create('div', 'map-filter-control map-finder-control leaflet-control-layers');
+            div.innerHTML = `
+                <button type="button" class="map-filter-toggle" title="Find the darkest sites near a place"><i class="fas fa-location-arrow"></i></button>
+                <div class="map-filter-panel collapsed">
+                    <div class="filter-row">
+                        <button type="button" class="btn map-finder-pick"><i class="fas fa-crosshairs"></i> Pick on Map</button>
+                        <button type="button" class="btn btn-outline map-finder-locate"><i class="fas fa-map-marker-alt"></i> My Location</button>
+                    </div>
+                    <div class="filter-row">
+                        <label>Sort by <select class="map-finder-sort">
+                            <option value="score">Darkness per km</option>
+                            <option value="distance">Distance</option>
+                            <option value="darkness">Darkness</option>
+                        </select></label>
+                    </div>
+                    <p class="map-filter-count map-finder-status">Pick a starting point on the map or use your location.</p>
+                    <ol class="map-finder-results"></ol>
+                </div>`;
+            const toggle = div.querySelector('.map-filter-toggle');
+            const panel = div.querySelector('.map-filter-panel');
+            const pickButton = div.querySelector('.map-finder-pick');
+            const sortSelect = div.querySelector('.map-finder-sort');
+            const status = div.querySelector('.map-finder-status');
+            const resultsList = div.querySelector('.map-finder-results');
+            let origin = null;
+            let picking = false;
+
+            const setPicking = (value) => {
+                picking = value;
+                pickButton.classList.toggle('active', picking);
+                L.DomUtil[picking ? 'addClass' : 'removeClass'](map.getContainer(), 'map-picking');
+            };
+            // Clears the route and marks the starting point.
+            const drawOrigin = () => {
+                finderLayer.clearLayers();
+                L.circleMarker(origin, { radius: 6, color: '#000', weight: 2, fillColor: '#FFFFFF', fillOpacity: 1 })
+                    .bindTooltip('Starting point').addTo(finderLayer);
+            };
+            const showRoute = (site) => {
+                drawOrigin();
+                const target = site.entry.marker.getLatLng();
+                L.polyline([origin, target], { color: '#4FC3F7', weight: 3, dashArray: '8 6' })
+                    .bindTooltip(`${site.distanceKm.toFixed(1)} km ${SkyArchiveGeoService.compassPoint(site.bearing)}`, { sticky: true })
+                    .addTo(finderLayer);
+                map.fitBounds(L.latLngBounds([origin, target]), { padding: [60, 60], maxZoom: 12 });
+            };
+            const render = () => {
+                if (!origin) return;
+                drawOrigin();
+                const sites = rankSites(origin, shownEntries, sortSelect.value);
+                status.textContent = sites.length > 0
+                    ? `From ${origin.lat.toFixed(3)}, ${origin.lng.toFixed(3)}. Darkness per km: (median SQM − ${FINDER_OPTIONS.baselineSqm}) / distance.`
+                    : 'No shown observation point has a median SQM.';
+                resultsList.innerHTML = '';
+                sites.forEach(site => {
+                    const darknessClass = SkyArchiveDarknessScale.classify(site.sqm);
+                    const li = document.createElement('li');
+                    li.innerHTML = `<button type="button" class="map-finder-site">
+                        <strong>${site.entry.item.locationName || site.entry.item.locality || 'Unknown Location'}</strong>
+                        <span>${site.distanceKm.toFixed(1)} km · ${Math.round(site.bearing)}° ${SkyArchiveGeoService.compassPoint(site.bearing)}</span>
+                        <span><i style="background:${darknessClass.color};"></i> ${site.sqm.toFixed(2)} mag/arcsec² (${darknessClass.label}) · ${(site.score * 100).toFixed(1)} per 100 km</span>
+                    </button>`;
+                    li.querySelector('button').onclick = () => {
+                        map.once('moveend', () => openMarkerPopup(site.entry));
+                        showRoute(site);
+                    };
+                    resultsList.appendChild(li);
+                });
+            };
+            const setOrigin = (latlng) => {
+                origin = L.latLng(latlng);
+                render();
+            };
+
+            toggle.onclick = () => panel.classList.toggle('collapsed');
+            pickButton.onclick = () => setPicking(!picking);
+            map.on('click', event => {
+                if (!picking) return;
+                setPicking(false);
+                setOrigin(event.latlng);
+            });
+            div.querySelector('.map-finder-locate').onclick = () => {
+                if (!navigator.geolocation) {
+                    status.textContent = 'Your browser cannot share its location.';
+                    return;
+                }
+                status.textContent = 'Finding your location…';
+                navigator.geolocation.getCurrentPosition(
+                    position => setOrigin([position.coords.latitude, position.coords.longitude]),
+                    error => {
+                        console.warn("MapService: geolocation failed:", error);
+                        status.textContent = `Could not get your location: ${error.message}`;
+                    },
+                    { enableHighAccuracy: false, timeout: 15000, maximumAge: 600000 });
+            };
+            sortSelect.addEventListener('change', render);
+            // Filters and the timeline change which sites are ranked.
+            finderRefresh = render;
+
+            L.DomEvent.disableClickPropagation(div);
+            L.DomEvent.disableScrollPropagation(div);
+            return div;
+        };
+        finderControl.addTo(map);
+
+        // --- Import / Export ---
+        // Exports the shown points in view as GeoJSON or KML and shows
+        // GeoJSON, KML or GPX files as temporary overlays in the layers control.
+        const importedLayers = [];
+        const transferControl = L.control({ position: 'topleft' });
+        transferControl.onAdd = function() {
+            const div = L.DomUtil.create('div', 'map-filter-control map-transfer-control leaflet-control-layers');
+            div.innerHTML = `
+                <button type="button" class="map-filter-toggle" title="Export or import map points"><i class="fas fa-file-export"></i></button>
+                <div class="map-filter-panel collapsed">
+                    <div class="filter-row">
+                        <button type="button" class="btn map-export-geojson"><i class="fas fa-download"></i> GeoJSON</button>
+                        <button type="button" class="btn map-export-kml"><i class="fas fa-download"></i> KML</button>
+                    </div>
+                    <div class="filter-row">
+                        <label class="btn btn-outline map-import-label"><i class="fas fa-upload"></i> Import GeoJSON, KML or GPX
+                            <input type="file" class="map-import-file" accept=".geojson,.json,.kml,.gpx" hidden>
+                        </label>
+                        <button type="button" class="btn btn-outline map-import-clear" hidden><i class="fas fa-times"></i> Remove Imports</button>
+                    </div>
+                    <p class="map-filter-count map-transfer-status">Exports the shown observation points in view.</p>
+                </div>`;
+            const toggle = div.querySelector('.map-filter-toggle');
+            const panel = div.querySelector('.map-filter-panel');
+            const fileInput = div.querySelector('.map-import-file');
+            const clearButton = div.querySelector('.map-import-clear');
+            const status = div.querySelector('.map-transfer-status');
+
+            const exportPoints = (format) => {
+                const bounds = map.getBounds();
+                const items = shownEntries
+                    .filter(entry => bounds.contains(entry.marker.getLatLng()))
+                    .map(entry => entry.item);
+                if (items.length === 0) {
+                    status.textContent = 'No shown observation points in view to export.';
+                    return;
+                }
+                const metadata = {
+                    title: 'SkyArchive observation points',
+                    source: window.location.href,
+                    exportedAt: new Date().toISOString(),
+                    pointCount: items.length
+                };
+                const filename = `skyarchive-points-${metadata.exportedAt.slice(0, 10)}`;
+                if (format === 'kml') {
+                    SkyArchiveExportService.downloadText(SkyArchiveExportService.observationsToKml(items, metadata), `${filename}.kml`, 'application/vnd.google-earth.kml+xml');
+                } else {
+                    SkyArchiveExportService.downloadText(SkyArchiveExportService.observationsToGeoJson(items, metadata), `${filename}.geojson`, 'application/geo+json');
+                }
+                status.textContent = `Exported ${items.length} observation point${items.length === 1 ? '' : 's'} as ${format === 'kml' ? 'KML' : 'GeoJSON'}.`;
+            };
+
+            const addImport = (collection, name) => {
+                const layer = L.geoJSON(collection, {
+                    style: () => IMPORT_STYLE,
+                    pointToLayer: (feature, latlng) => L.circleMarker(latlng, { ...IMPORT_STYLE, radius: 6 }),
+                    onEachFeature: (feature, featureLayer) => {
+                        featureLayer.bindPopup(() => buildImportPopup(feature.properties || {}), { maxWidth: 320 });
+                    }
+                });
+                importedLayers.push(layer);
+                layersControl.addOverlay(layer, `Imported: ${escapeHtml(name)}`);
+                layer.addTo(map);
+                const layerBounds = layer.getBounds();
+                if (layerBounds.isValid()) map.fitBounds(layerBounds, { padding: [40, 40], maxZoom: 12 });
+                clearButton.hidden = false;
+                status.textContent = `Imported ${collection.features.length} feature${collection.features.length === 1 ? '' : 's'} from ${name}.`;
+            };
+
+            toggle.onclick = () => panel.classList.toggle('collapsed');
+            div.querySelector('.map-export-geojson').onclick = () => exportPoints('geojson');
+            div.querySelector('.map-export-kml').onclick = () => exportPoints('kml');
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                fileInput.value = '';
+                if (!file) return;
+                const reader = new FileReader();
+                reader.onload = () => {
+                    try {
+                        addImport(SkyArchiveGeoImport.parse(reader.result, file.name), file.name);
+                    } catch (error) {
+                        console.warn(`MapService: could not import ${file.name}:`, error);
+                        status.textContent = `Could not import ${file.name}: ${error.message}`;
+                    }
+                };
+                reader.onerror = () => {
+                    status.textContent = `Could not read ${file.name}.`;
+                };
+                reader.readAsText(file);
+            });
+            clearButton.onclick = () => {
+                importedLayers.forEach(layer => {
+                    layersControl.removeLayer(layer);
+                    map.removeLayer(layer);
+                });
+                importedLayers.length = 0;
+                addOpacitySlider();
+                clearButton.hidden = true;
+                status.textContent = 'Removed the imported layers.';
+            };
+
+            L.DomEvent.disableClickPropagation(div);
+            L.DomEvent.disableScrollPropagation(div);
+            return div;
+        };
+        transferControl.addTo(map);
+
+        // --- Timeline Control ---
+        const datedEntries = markerEntries.filter(entry => /^\d{4}-\d{2}-\d{2}$/.test(entry.item.date || ''));
+        if (datedEntries.length > 1) {
+            const days = datedEntries.map(entry => dayNumber(entry.item.date));
+            const firstDay = Math.min(...days);
+            const lastDay = Math.max(...days);
+            const timelineControl = L.control({ position: 'bottomleft' });
+            timelineControl.onAdd = function() {
+                const div = L.DomUtil.create('div', 'map-timeline-control leaflet-control-layers');
+                div.innerHTML = `
+                    <div class="filter-row">
+                        <button type="button" class="map-timeline-play" title="Play the observations by date"><i class="fas fa-play"></i></button>
+                        <input type="range" class="map-timeline-slider" min="${firstDay}" max="${lastDay}" step="1" value="${lastDay}" aria-label="Timeline date">
+                        <span class="map-timeline-date">All dates</span>
+                        <button type="button" class="map-timeline-reset" title="Show all dates"><i class="fas fa-times"></i></button>
+                    </div>
+                    <div class="filter-row">
+                        <select class="map-timeline-mode" aria-label="Timeline mode">
+                            <option value="cumulative">Cumulative</option>
+                            <option value="window">Sliding window</option>
+                        </select>
+                        <select class="map-timeline-window" aria-label="Window length" disabled>
+                            <option value="30">30 days</option>
+                            <option value="90" selected>90 days</option>
+                            <option value="180">180 days</option>
+                            <option value="365">1 year</option>
+                        </select>
+                        <select class="map-timeline-speed" aria-label="Playback speed">
+                            <option value="7">1 week/s</option>
+                            <option value="30" selected>1 month/s</option>
+                            <option value="90">3 months/s</option>
+                        </select>
+                    </div>`;
+                const playButton = div.querySelector('.map-timeline-play');
+                const slider = div.querySelector('.map-timeline-slider');
+                const dateLabel = div.querySelector('.map-timeline-date');
+                const modeSelect = div.querySelector('.map-timeline-mode');
+                const windowSelect = div.querySelector('.map-timeline-window');
+                const speedSelect = div.querySelector('.map-timeline-speed');
+                let timer = null;
+                let position = lastDay;
+
+                // Shows the observations up to (cumulative) or within the window before the slider date.
+                const showDay = (day) => {
+                    position = Math.min(Math.max(day, firstDay), lastDay);
+                    slider.value = Math.round(position);
+                    const to = dateFromDayNumber(Math.floor(position));
+                    const from = modeSelect.value === 'window'
+                        ? dateFromDayNumber(Math.floor(position) - parseInt(windowSelect.value, 10) + 1)
+                        : '0000-00-00';
+                    timelineRange = { from: from, to: to };
+                    dateLabel.textContent = modeSelect.value === 'window' ? `${from} – ${to}` : `Until ${to}`;
+                    updateShownMarkers();
+                };
+                const stop = () => {
+                    clearInterval(timer);
+                    timer = null;
+                    playButton.innerHTML = '<i class="fas fa-play"></i>';
+                };
+                const tickMs = 100;
+                playButton.onclick = () => {
+                    if (timer) {
+                        stop();
+                        return;
+                    }
+                    if (!timelineRange || position >= lastDay) showDay(firstDay);
+                    playButton.innerHTML = '<i class="fas fa-pause"></i>';
+                    timer = setInterval(() => {
+                        showDay(position + parseInt(speedSelect.value, 10) * tickMs / 1000);
+                        if (position >= lastDay) stop();
+                    }, tickMs);
+                };
+                slider.addEventListener('input', () => {
+                    stop();
+                    showDay(parseInt(slider.value, 10));
+                });
+                modeSelect.addEventListener('change', () => {
+                    windowSelect.disabled = modeSelect.value !== 'window';
+                    if (timelineRange) showDay(position);
+                });
+                windowSelect.addEventListener('change', () => {
+                    if (timelineRange) showDay(position);
+                });
+                div.querySelector('.map-timeline-reset').onclick = () => {
+                    stop();
+                    timelineRange = null;
+                    position = lastDay;
+                    slider.value = lastDay;
+                    dateLabel.textContent = 'All dates';
+                    updateShownMarkers();
+                };
+
+                L.DomEvent.disableClickPropagation(div);
+                L.DomEvent.disableScrollPropagation(div);
+                return div;
+            };
+            timelineControl.addTo(map);
+        }
+
+        // --- Shareable Map State ---
+        const baseLayersById = { dark: cartoDBDarkMatter, light: cartoDBPositron, osm: openStreetMap };
+        const overlaysById = { points: markers, lightPollution: worldLPLayer, residual: residualLayer, surface: surfaceLayer };
+
+        function currentUrlState() {
+            const center = map.getCenter();
+            return {
+                center: [center.lat, center.lng],
+                zoom: map.getZoom(),
+                base: Object.keys(baseLayersById).find(id => map.hasLayer(baseLayersById[id])) || 'dark',
+                overlays: Object.keys(overlaysById).filter(id => map.hasLayer(overlaysById[id])),
+                lpOpacity: worldLPLayer.options.opacity,
+                metric: currentMetric.id,
+                filters: currentFilters,
+                popup: openEntry ? sessionKey(openEntry.item) : null
+            };
+        }
+
+        // Records the current view in the URL. Discrete changes (`addEntry`:
+        // layers, filters, metric, popup) add a history entry, except in quick
+        // succession (typing in the filter form); pans, zooms and the opacity
+        // slider only update the current entry.
+        function writeUrlState(addEntry = false) {
+            if (!urlStateReady || restoringUrlState) return;
+            const query = mapStateQuery(currentUrlState(), window.location.search);
+            if (`?${query}` === window.location.search) return;
+            const url = `${window.location.pathname}?${query}${window.location.hash}`;
+            const now = Date.now();
+            if (addEntry && now - lastHistoryEntry >= HISTORY_MERGE_MS) {
+                history.pushState(null, '', url);
+                lastHistoryEntry = now;
+            } else {
+                history.replaceState(null, '', url);
+            }
+        }
+
+        function applyUrlState(state) {
+            restoringUrlState = true;
+            try {
+                restoreUrlState(state);
+            } finally {
+                restoringUrlState = false;
+            }
+        }
+
+        // Opens the popup of a shown marker. The marker may be inside a
+        // cluster at this zoom; its cluster is spread out as if clicked.
+        // Nothing opens while the observation points are hidden.
+        function openMarkerPopup(entry) {
+            if (!map.hasLayer(markers)) return;
+            // After a zoom change the clusters are redrawn with an animation
+            // and cannot be spread out until it ends (as in zoomToShowLayer).
+            if (markers._inZoomAnimation) {
+                markers.once('animationend', () => openMarkerPopup(entry));
+                return;
+            }
+            if (!map.hasLayer(entry.marker)) {
+                // Circle markers have no icon, so this is the cluster drawn in their place.
+                const cluster = markers.getVisibleParent(entry.marker);
+                if (!cluster) return;
+                cluster.spiderfy();
+            }
+            entry.marker.openPopup();
+        }
+
+        function restoreUrlState(state) {
+            map.setView(state.center, state.zoom, { animate: false });
+            const base = baseLayersById[state.base] || cartoDBDarkMatter;
+            Object.values(baseLayersById).forEach(layer => {
+                if (layer !== base && map.hasLayer(layer)) map.removeLayer(layer);
+            });
+            if (!map.hasLayer(base)) map.addLayer(base);
+            Object.entries(overlaysById).forEach(([id, layer]) => {
+                if (state.overlays.includes(id) && !map.hasLayer(layer)) map.addLayer(layer);
+                else if (!state.overlays.includes(id) && map.hasLayer(layer)) map.removeLayer(layer);
+            });
+            worldLPLayer.setOpacity(state.lpOpacity !== null ? state.lpOpacity : TILE_LAYERS.lightPollution.options.opacity);
+            const slider = layersControl.getContainer().querySelector('.opacity-slider-input');
+            if (slider) {
+                slider.value = worldLPLayer.options.opacity;
+                slider.nextSibling.textContent = Math.round(worldLPLayer.options.opacity * 100) + '%';
+            }
+            if (state.metric !== currentMetric.id) setMetric(state.metric);
+            // Filters from a link are shown but not saved; only edits in the
+            // filter panel replace the filters saved for this browser.
+            if (typeof SkyArchiveFilterService !== 'undefined') {
+                const filters = SkyArchiveFilterService.normalize(state.filters);
+                if (setFilterForm) setFilterForm(filters);
+                applyFilters(filters);
+            }
+            map.closePopup();
+            openEntry = null;
+            const popupEntry = state.popup ? shownEntries.find(entry => sessionKey(entry.item) === state.popup) : null;
+            if (popupEntry && map.hasLayer(markers)) {
+                openEntry = popupEntry; // Kept in the URL while the popup waits for the clusters.
+                openMarkerPopup(popupEntry);
+            }
+        }
+
+        // The URL changes only once the user changes the map; a shared link
+        // is written back in full.
+        if (urlState) applyUrlState(urlState);
+        const initialState = currentUrlState(); // Shown again when Back returns to a URL without map state.
+        urlStateReady = true;
+        if (urlState) writeUrlState();
+        map.on('moveend', () => writeUrlState());
+        map.on('baselayerchange overlayadd overlayremove', () => writeUrlState(true));
+        window.addEventListener('popstate', () => {
+            applyUrlState(readMapState(window.location.search) || initialState);
+        });
+
         console.log("Map initialized by MapService.");
     }
 
+    // The map created by initMap, or null before it ran.
+    function getMap() {
+        return currentMap;
+    }
+
     return {
-        initMap: initMap
+        TILE_LAYERS: TILE_LAYERS,
+        MARKER_METRICS: MARKER_METRICS,
+        FINDER_OPTIONS: FINDER_OPTIONS,
+        rankSites: rankSites,
+        readMapState: readMapState,
+        mapStateQuery: mapStateQuery,
+        initMap: initMap,
+        getMap: getMap
     };
 })();
@@ -0,0 +1,314 @@
+// js/services/offlineService.js
+// Registers the service worker (sw.js) and saves sessions and map regions
+// for use at observing sites without a network connection.
+
+const SkyArchiveOfflineService = (() => {
+
+    // Cache holding what the user saved. sw.js serves it cache-first and keeps
+    // it across service worker updates; the name must match OFFLINE_CACHE there.
+    const CACHE_NAME = 'skyarchive-offline';
+    const SESSIONS_KEY = 'skyarchive-offline-sessions';
+    const REGIONS_KEY = 'skyarchive-offline-regions';
+
+    const DEFAULT_OPTIONS = {
+        maxTiles: 3000,             // Largest region (tiles over all layers and zooms) that can be saved.
+        concurrency: 6,             // Parallel downloads while saving.
+        minZoom: 1                  // Regions are saved from this zoom up, so the area can be found again when zoomed out.
+    };
+
+    const MAX_LATITUDE = 85.0511287798; // Limit of the Web Mercator tile grid.
+
+    function isSupported() {
+        return typeof caches !== 'undefined' && typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+    }
+
+    // Absolute URL of a site-relative path, as the browser will request it.
+    function absoluteUrl(url) {
+        return new URL(url, window.location.href).href;
+    }
+
+    function readList(key) {
+        try {
+            return JSON.parse(localStorage.getItem(key)) || [];
+        } catch (error) {
+            console.warn(`OfflineService: could not read ${key}:`, error);
+            return [];
+        }
+    }
+
+    function writeList(key, list) {
+        localStorage.setItem(key, JSON.stringify(list));
+    }
+
+    // Downloads `urls` into the offline cache. Responses that are not OK are
+    // skipped (e.g. light pollution tiles outside the atlas coverage).
+    // `onProgress(done, total)` is called after every URL.
+    // Returns { stored, skipped, failed }.
+    async function storeUrls(urls, onProgress, overrides = {}) {
+        const options = { ...DEFAULT_OPTIONS, ...overrides };
+        const cache = await caches.open(CACHE_NAME);
+        const result = { stored: 0, skipped: 0, failed: 0 };
+        let next = 0;
+        let done = 0;
+
+        async function worker() {
+            while (next < urls.length) {
+                const url = urls[next++];
+                try {
+                    const response = await fetch(url, { cache: 'no-cache' });
+                    if (response.ok) {
+                        await cache.put(url, response);
+                        result.stored++;
+                    } else {
+                        result.skipped++;
+                    }
+                } catch (error) {
+                    console.warn(`OfflineService: failed to save ${url}:`, error);
+                    result.failed++;
+                }
+                done++;
+                if (onProgress) onProgress(done, urls.length);
+            }
+        }
+
+        const workers = [];
+        for (let i = 0; i < Math.min(options.concurrency, urls.length); i++) workers.push(worker());
+        await Promise.all(workers);
+        return result;
+    }
+
+    async function deleteUrls(urls) {
+        const cache = await caches.open(CACHE_NAME);
+        await Promise.all(urls.map(url => cache.delete(url)));
+    }
+
+    // Asks the browser not to evict saved data under storage pressure.
+    async function requestPersistence() {
+        if (navigator.storage && navigator.storage.persist) {
+            try {
+                await navigator.storage.persist();
+            } catch (error) {
+                console.warn("OfflineService: persistent storage request failed:", error);
+            }
+        }
+    }
+
+    // --- Sessions ---
+
+    // Files of a session: panorama, preview and SQM log.
+    function sessionUrls(item) {
+        return [item.panoramaUrl, item.previewUrl, item.sqmFileUrl].filter(Boolean).map(absoluteUrl);
+    }
+
+    function sessionKey(item) {
+        return item.sqmFileUrl || item.panoramaUrl;
+    }
+
+    // Saved sessions: [{ key, title, date, urls, savedAt }].
+    function listSavedSessions() {
+        return readList(SESSIONS_KEY);
+    }
+
+    function isSessionSaved(item) {
+        const key = sessionKey(item);
+        return Boolean(key) && listSavedSessions().some(session => session.key === key);
+    }
+
+    // Saves the files of a manifest entry. Throws if any of them could not be stored.
+    async function saveSession(item, onProgress) {
+        if (!isSupported()) throw new Error('Offline storage is not supported by this browser.');
+        const urls = sessionUrls(item);
+        await requestPersistence();
+        const result = await storeUrls(urls, onProgress);
+        if (result.stored < urls.length) {
+            throw new Error(`Only ${result.stored} of ${urls.length} files of the session could be saved.`);
+        }
+        const sessions = listSavedSessions().filter(session => session.key !== sessionKey(item));
+        sessions.push({
+            key: sessionKey(item),
+            title: item.locationName || item.locality || item.title || 'Session',
+            date: item.date || '',
+            urls: urls,
+            savedAt: new Date().toISOString()
+        });
+        writeList(SESSIONS_KEY, sessions);
+    }
+
+    async function removeSession(item) {
+        const key = sessionKey(item);
+        const sessions = listSavedSessions();
+        const saved = sessions.find(session => session.key === key);
+        if (!saved) return;
+        writeList(SESSIONS_KEY, sessions.filter(session => session !== saved));
+        await deleteUrls(saved.urls);
+    }
+
+    // --- Map regions ---
+
+    function tileX(lon, zoom) {
+        return Math.floor((lon + 180) / 360 * 2 ** zoom);
+    }
+
+    function tileY(lat, zoom) {
+        const clamped = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat)) * Math.PI / 180;
+        return Math.floor((1 - Math.log(Math.tan(clamped) + 1 / Math.cos(clamped)) / Math.PI) / 2 * 2 ** zoom);
+    }
+
+    // URL of one tile, resolved the way Leaflet's L.TileLayer does (including
+    // its subdomain choice) so the saved tile matches the map's request.
+    function tileUrl(layer, z, x, y) {
+        const subdomains = (layer.options && layer.options.subdomains) || 'abc';
+        const retina = typeof window !== 'undefined' && window.devicePixelRatio > 1;
+        const url = layer.url
+            .replace('{s}', subdomains[Math.abs(x + y) % subdomains.length])
+            .replace('{z}', z).replace('{x}', x).replace('{y}', y)
+            .replace('{r}', retina ? '@2x' : '');
+        return absoluteUrl(url);
+    }
+
+    // Tile URLs covering `bounds` ({ north, south, east, west }) from minZoom
+    // to maxZoom for one tile layer ({ url, options }, as in
+    // SkyArchiveMapService.TILE_LAYERS). Zooms above the layer's maxNativeZoom
+    // reuse its deepest tiles, as Leaflet does.
+    function tileUrlsForBounds(layer, bounds, minZoom, maxZoom) {
+        const layerOptions = layer.options || {};
+        const nativeMax = Number.isFinite(layerOptions.maxNativeZoom) ? layerOptions.maxNativeZoom : maxZoom;
+        const nativeMin = Number.isFinite(layerOptions.minZoom) ? layerOptions.minZoom : 0;
+        const urls = [];
+        for (let z = Math.max(minZoom, nativeMin); z <= Math.min(maxZoom, nativeMax); z++) {
+            const last = 2 ** z - 1;
+            const x0 = Math.max(0, tileX(bounds.west, z));
+            const x1 = Math.min(last, tileX(bounds.east, z));
+            const y0 = Math.max(0, tileY(bounds.north, z));
+            const y1 = Math.min(last, tileY(bounds.south, z));
+            for (let x = x0; x <= x1; x++) {
+                for (let y = y0; y <= y1; y++) urls.push(tileUrl(layer, z, x, y));
+            }
+        }
+        return urls;
+    }
+
+    function regionUrls(layers, bounds, minZoom, maxZoom) {
+        const urls = layers.reduce((all, layer) => all.concat(tileUrlsForBounds(layer, bounds, minZoom, maxZoom)), []);
+        return Array.from(new Set(urls));
+    }
+
+    // Number of tiles a region would store.
+    function estimateRegion(layers, bounds, maxZoom, overrides = {}) {
+        const options = { ...DEFAULT_OPTIONS, ...overrides };
+        return regionUrls(layers, bounds, options.minZoom, maxZoom).length;
+    }
+
+    // Saved regions: [{ id, name, bounds, maxZoom, minZoom, layers, tileCount, savedAt }],
+    // where `layers` are the { id, url, options } the region was saved with.
+    function listSavedRegions() {
+        return readList(REGIONS_KEY);
+    }
+
+    // Whether a saved region holds tile z/x/y of a tile layer (by its id).
+    function isTileSaved(layerId, z, x, y) {
+        return listSavedRegions().some(region => {
+            const layer = region.layers.find(l => l.id === layerId);
+            if (!layer) return false;
+            const nativeMax = layer.options && Number.isFinite(layer.options.maxNativeZoom) ? layer.options.maxNativeZoom : region.maxZoom;
+            if (z < region.minZoom || z > Math.min(region.maxZoom, nativeMax)) return false;
+            const bounds = region.bounds;
+            return x >= tileX(bounds.west, z) && x <= tileX(bounds.east, z) && y >= tileY(bounds.north, z) && y <= tileY(bounds.south, z);
+        });
+    }
+
+    // Saves the tiles of `layers` ([{ id, url, options }]) inside `bounds`.
+    // Throws without downloading anything if the region exceeds `maxTiles`.
+    async function saveRegion(name, layers, bounds, maxZoom, onProgress, overrides = {}) {
+        const options = { ...DEFAULT_OPTIONS, ...overrides };
+        if (!isSupported()) throw new Error('Offline storage is not supported by this browser.');
+        const urls = regionUrls(layers, bounds, options.minZoom, maxZoom);
+        if (urls.length > options.maxTiles) {
+            throw new Error(`The area needs ${urls.length} tiles; at most ${options.maxTiles} can be saved at once. Zoom in or lower the detail.`);
+        }
+        await requestPersistence();
+        const result = await storeUrls(urls, onProgress, options);
+        const region = {
+            id: `region-${Date.now()}`,
+            name: name,
+            bounds: bounds,
+            minZoom: options.minZoom,
+            maxZoom: maxZoom,
+            layers: layers.map(layer => ({ id: layer.id, url: layer.url, options: layer.options })),
+            tileCount: result.stored,
+            savedAt: new Date().toISOString()
+        };
+        writeList(REGIONS_KEY, listSavedRegions().concat(region));
+        return { region: region, ...result };
+    }
+
+    // Removes a region's tiles, keeping those another saved region still covers.
+    async function removeRegion(id) {
+        const regions = listSavedRegions();
+        const region = regions.find(r => r.id === id);
+        if (!region) return;
+        const remaining = regions.filter(r => r !== region);
+        writeList(REGIONS_KEY, remaining);
+        const kept = new Set();
+        remaining.forEach(r => regionUrls(r.layers, r.bounds, r.minZoom, r.maxZoom).forEach(url => kept.add(url)));
+        await deleteUrls(regionUrls(region.layers, region.bounds, region.minZoom, region.maxZoom).filter(url => !kept.has(url)));
+    }
+
+    // { usage, quota } in bytes for the whole site, or null if unknown.
+    async function storageEstimate() {
+        if (!navigator.storage || !navigator.storage.estimate) return null;
+        try {
+            const estimate = await navigator.storage.estimate();
+            return { usage: estimate.usage, quota: estimate.quota };
+        } catch (error) {
+            console.warn("OfflineService: storage estimate failed:", error);
+            return null;
+        }
+    }
+
+    // --- Page integration ---
+
+    // Shows a notice while the browser reports no network connection.
+    function initStatusIndicator() {
+        if (document.getElementById('offline-status')) return;
+        const indicator = document.createElement('div');
+        indicator.id = 'offline-status';
+        indicator.className = 'offline-status';
+        indicator.innerHTML = '<i class="fas fa-wifi"></i> Offline: showing saved content';
+        document.body.appendChild(indicator);
+        const update = () => { indicator.style.display = navigator.onLine ? 'none' : 'block'; };
+        window.addEventListener('online', update);
+        window.addEventListener('offline', update);
+        update();
+    }
+
+    // Registers the service worker and shows the connection status. Call once per page.
+    function init(scriptUrl = 'sw.js') {
+        if (!isSupported()) {
+            console.warn("Service workers are not supported. Offline mode is unavailable.");
+            return;
+        }
+        navigator.serviceWorker.register(scriptUrl)
+            .catch(error => console.error("Service worker registration failed:", error));
+        initStatusIndicator();
+    }
+
+    return {
+        DEFAULT_OPTIONS: DEFAULT_OPTIONS,
+        CACHE_NAME: CACHE_NAME,
+        init: init,
+        isSupported: isSupported,
+        sessionUrls: sessionUrls,
+        listSavedSessions: listSavedSessions,
+        isSessionSaved: isSessionSaved,
+        saveSession: saveSession,
+        removeSession: removeSession,
+        tileUrlsForBounds: tileUrlsForBounds,
+        estimateRegion: estimateRegion,
+        listSavedRegions: listSavedRegions,
+        isTileSaved: isTileSaved,
+        saveRegion: saveRegion,
+        removeRegion: removeRegion,
+        storageEstimate: storageEstimate
+    };
+})();
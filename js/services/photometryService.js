@@ -0,0 +1,88 @@
+// js/services/photometryService.js
+// Converts sky brightness in mag/arcsec² into luminance, naked-eye limiting
+// magnitude, artificial-brightness ratio and a Bortle class estimate.
+
+const SkyArchivePhotometryService = (() => {
+
+    const DEFAULT_OPTIONS = {
+        naturalSkyMag: 22.0     // Natural (unpolluted) zenith sky brightness used as the baseline.
+    };
+
+    // Lower SQM bound of each Bortle class, darkest first. Below the last bound the class is 9.
+    const BORTLE_THRESHOLDS = [
+        { bortle: 1, minMag: 21.99 },
+        { bortle: 2, minMag: 21.89 },
+        { bortle: 3, minMag: 21.69 },
+        { bortle: 4, minMag: 20.49 },
+        { bortle: 5, minMag: 19.50 },
+        { bortle: 6, minMag: 18.94 },
+        { bortle: 7, minMag: 18.38 },
+        { bortle: 8, minMag: 17.80 }
+    ];
+
+    // Luminance in mcd/m² of a sky brightness in mag/arcsec².
+    function luminance(mag) {
+        return 1.08e8 * Math.pow(10, -0.4 * mag);
+    }
+
+    // Naked-eye limiting magnitude for a sky brightness in mag/arcsec² (Schaefer's approximation).
+    function nakedEyeLimitingMagnitude(mag) {
+        return 7.93 - 5 * Math.log10(Math.pow(10, 4.316 - mag / 5) + 1);
+    }
+
+    // Ratio of artificial to natural sky brightness, given the natural baseline in mag/arcsec².
+    function artificialRatio(mag, naturalSkyMag = DEFAULT_OPTIONS.naturalSkyMag) {
+        return Math.max(0, luminance(mag) / luminance(naturalSkyMag) - 1);
+    }
+
+    // Sky brightness in mag/arcsec² of an artificial-to-natural brightness ratio (inverse of artificialRatio).
+    function magnitudeFromRatio(ratio, naturalSkyMag = DEFAULT_OPTIONS.naturalSkyMag) {
+        return naturalSkyMag - 2.5 * Math.log10(1 + Math.max(0, ratio));
+    }
+
+    // Bortle class (1-9) estimated from a sky brightness in mag/arcsec².
+    function bortleClass(mag) {
+        const match = BORTLE_THRESHOLDS.find(t => mag >= t.minMag);
+        return match ? match.bortle : 9;
+    }
+
+    // All derived quantities for a sky brightness, or null if `mag` is not a number.
+    // Accepts the "N/A"-or-string medians the pages pass around.
+    // Returns { mag, luminance, nelm, artificialRatio, bortle }.
+    function describe(mag, overrides = {}) {
+        const options = { ...DEFAULT_OPTIONS, ...overrides };
+        const value = typeof mag === 'number' ? mag : parseFloat(mag);
+        if (!Number.isFinite(value)) return null;
+        return {
+            mag: value,
+            luminance: luminance(value),
+            nelm: nakedEyeLimitingMagnitude(value),
+            artificialRatio: artificialRatio(value, options.naturalSkyMag),
+            bortle: bortleClass(value)
+        };
+    }
+
+    // One-line summary for cards and title bars, e.g. "Bortle 4 · NELM 6.2 · 0.32 mcd/m²".
+    // Returns an empty string if `mag` is not a number.
+    function formatSummary(mag, overrides = {}) {
+        const p = describe(mag, overrides);
+        if (!p) return '';
+        return `Bortle ${p.bortle} · NELM ${p.nelm.toFixed(1)} · ${p.luminance.toFixed(2)} mcd/m²`;
+    }
+
+    return {
+        DEFAULT_OPTIONS: DEFAULT_OPTIONS,
+        luminance: luminance,
+        nakedEyeLimitingMagnitude: nakedEyeLimitingMagnitude,
+        artificialRatio: artificialRatio,
+        magnitudeFromRatio: magnitudeFromRatio,
+        bortleClass: bortleClass,
+        describe: describe,
+        formatSummary: formatSummary
+    };
+})();
+
+// Node tools (tools/) load the service as a CommonJS module.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SkyArchivePhotometryService;
+}
@@ -0,0 +1,118 @@
+// js/services/qualityService.js
+// Flags SQM readings that should not count towards medians, histograms or map colours.
+
+const SkyArchiveQualityService = (() => {
+
+    // Default thresholds. Any of them can be overridden per call.
+    const DEFAULT_OPTIONS = {
+        sentinelMag: 24.0,          // TAS writes Mag 24.0 / Hz 0.0 when the detector sees no signal.
+        minMag: 10.0,               // Brighter than this the detector is saturated (twilight, direct light).
+        maxHz: 100000,              // Frequencies above this are not physical for the sensor.
+        zeroPointTolerance: 0.3,    // Allowed mag difference between Mag and the value implied by Hz.
+        minBattery: 3.5,            // Volts; readings below this are unreliable.
+        maxTempDrift: 5.0,          // °C between a reading's sensor temperature and the session median.
+        maxGpsJumpMeters: 500       // Distance between a reading's GPS fix and the session median fix.
+    };
+
+    // Human-readable labels for rejection reasons.
+    const REASON_LABELS = {
+        sentinel: 'No-signal sentinel (Mag 24 / Hz 0)',
+        saturated: 'Detector saturated',
+        frequency: 'Implausible frequency',
+        battery: 'Low battery',
+        temperatureDrift: 'Sensor temperature drift',
+        gpsJump: 'GPS position jump'
+    };
+
+    // Median of an array of numbers, ignoring nulls.
+    function median(values) {
+        const sorted = values.filter(v => v !== null && Number.isFinite(v)).sort((a, b) => a - b);
+        if (sorted.length === 0) return null;
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+    }
+
+    // Estimates the photometer zero point (Mag + 2.5·log10(Hz)) from the session itself,
+    // so the frequency check works whatever calibration the instrument uses.
+    function estimateZeroPoint(records, options) {
+        return median(records
+            .filter(r => r.hz !== null && r.hz > 0 && r.mag < options.sentinelMag)
+            .map(r => r.mag + 2.5 * Math.log10(r.hz)));
+    }
+
+    // Returns the rejection reasons for one reading.
+    function checkReading(record, session, options) {
+        const reasons = [];
+        if (record.mag >= options.sentinelMag || record.hz === 0) {
+            reasons.push('sentinel');
+        } else if (record.mag < options.minMag) {
+            reasons.push('saturated');
+        }
+        if (record.hz !== null && record.hz !== 0) {
+            const impliedMag = session.zeroPoint !== null && record.hz > 0 ? session.zeroPoint - 2.5 * Math.log10(record.hz) : null;
+            if (record.hz < 0 || record.hz > options.maxHz ||
+                (impliedMag !== null && Math.abs(impliedMag - record.mag) > options.zeroPointTolerance)) {
+                reasons.push('frequency');
+            }
+        }
+        if (record.battery !== null && record.battery < options.minBattery) {
+            reasons.push('battery');
+        }
+        if (record.tempSensor !== null && session.tempSensor !== null &&
+            Math.abs(record.tempSensor - session.tempSensor) > options.maxTempDrift) {
+            reasons.push('temperatureDrift');
+        }
+        if (record.lat !== null && record.lon !== null && session.lat !== null && session.lon !== null &&
+            SkyArchiveGeoService.distanceMeters(record.lat, record.lon, session.lat, session.lon) > options.maxGpsJumpMeters) {
+            reasons.push('gpsJump');
+        }
+        return reasons;
+    }
+
+    // Flags every reading with `qc: { accepted, reasons }` (in place) and
+    // returns a summary: { total, accepted, rejected, byReason, zeroPoint }.
+    function flagReadings(records, overrides = {}) {
+        const options = { ...DEFAULT_OPTIONS, ...overrides };
+        const session = {
+            zeroPoint: estimateZeroPoint(records, options),
+            tempSensor: median(records.map(r => r.tempSensor)),
+            lat: median(records.map(r => r.lat)),
+            lon: median(records.map(r => r.lon))
+        };
+        const summary = { total: records.length, accepted: 0, rejected: 0, byReason: {}, zeroPoint: session.zeroPoint };
+
+        records.forEach(record => {
+            const reasons = checkReading(record, session, options);
+            record.qc = { accepted: reasons.length === 0, reasons: reasons };
+            if (record.qc.accepted) {
+                summary.accepted++;
+            } else {
+                summary.rejected++;
+                reasons.forEach(reason => { summary.byReason[reason] = (summary.byReason[reason] || 0) + 1; });
+            }
+        });
+        return summary;
+    }
+
+    // Returns the readings that passed quality control (unflagged readings count as accepted).
+    function acceptedReadings(records) {
+        return records.filter(r => !r.qc || r.qc.accepted);
+    }
+
+    // Returns the display label for a rejection reason.
+    function getReasonLabel(reason) {
+        return REASON_LABELS[reason] || reason;
+    }
+
+    return {
+        DEFAULT_OPTIONS: DEFAULT_OPTIONS,
+        flagReadings: flagReadings,
+        acceptedReadings: acceptedReadings,
+        getReasonLabel: getReasonLabel
+    };
+})();
+
+// Node tools (tools/) load the service as a CommonJS module.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SkyArchiveQualityService;
+}
@@ -0,0 +1,147 @@
+// js/services/siteService.js
+// Groups manifest sessions into sites (revisits of the same spot) and
+// derives the per-session values a site history compares over time.
+
+const SkyArchiveSiteService = (() => {
+
+    const DEFAULT_OPTIONS = {
+        radiusMeters: 1000,         // Sessions closer than this (chained) belong to the same site.
+        zenithMinAltitude: 80,      // Readings at or above this altitude give the zenith value.
+        horizonMinAltitude: 10,     // Readings between these altitudes give the horizon value.
+        horizonMaxAltitude: 20,
+        changeThreshold: 0.3        // Mag difference between sessions flagged as significant.
+    };
+
+    // Human-readable labels for session metrics.
+    const METRIC_LABELS = {
+        median: 'Median (Alt > 45°)',
+        zenith: 'Zenith',
+        horizon: 'Horizon'
+    };
+
+    // Lowercase, URL-safe form of a name.
+    function slugify(text) {
+        return String(text || 'site').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    // Groups manifest entries into sites. Entries with a `siteId` are grouped
+    // by it; the rest are clustered by proximity (single linkage within
+    // `radiusMeters`). Returns [{ id, name, latitude, longitude, sessions }]
+    // with sessions sorted by date, and also sets `siteId` on every entry that
+    // did not have one.
+    function groupSessions(entries, overrides = {}) {
+        const options = { ...DEFAULT_OPTIONS, ...overrides };
+        const groups = new Map();
+        const unassigned = [];
+        entries.forEach(entry => {
+            if (entry.siteId) {
+                if (!groups.has(entry.siteId)) groups.set(entry.siteId, []);
+                groups.get(entry.siteId).push(entry);
+            } else if (Number.isFinite(entry.latitude) && Number.isFinite(entry.longitude)) {
+                unassigned.push(entry);
+            }
+        });
+
+        const clusters = [];
+        unassigned.forEach(entry => {
+            const near = clusters.filter(cluster => cluster.some(other =>
+                SkyArchiveGeoService.distanceMeters(entry.latitude, entry.longitude, other.latitude, other.longitude) <= options.radiusMeters));
+            const merged = near.reduce((all, cluster) => all.concat(cluster), [entry]);
+            near.forEach(cluster => clusters.splice(clusters.indexOf(cluster), 1));
+            clusters.push(merged);
+        });
+        clusters.forEach(cluster => {
+            // Named after the first visit so the id stays stable as revisits are added.
+            const first = cluster.slice().sort((a, b) => String(a.date).localeCompare(String(b.date)))[0];
+            const id = `${slugify(first.locality)}_${first.latitude.toFixed(3)}_${first.longitude.toFixed(3)}`;
+            cluster.forEach(entry => { entry.siteId = id; });
+            groups.set(id, cluster);
+        });
+
+        return Array.from(groups.entries()).map(([id, sessions]) => {
+            sessions.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+            const located = sessions.filter(s => Number.isFinite(s.latitude) && Number.isFinite(s.longitude));
+            return {
+                id: id,
+                name: [sessions[0].locality, sessions[0].region, sessions[0].country].filter(Boolean).join(', ') || id,
+                latitude: located.length > 0 ? located.reduce((sum, s) => sum + s.latitude, 0) / located.length : null,
+                longitude: located.length > 0 ? located.reduce((sum, s) => sum + s.longitude, 0) / located.length : null,
+                sessions: sessions
+            };
+        });
+    }
+
+    // Median SQM of the accepted readings whose altitude lies in [minAlt, maxAlt].
+    function medianInAltitudeRange(records, minAlt, maxAlt) {
+        const values = SkyArchiveQualityService.acceptedReadings(records)
+            .filter(r => r.alt !== null && r.alt >= minAlt && r.alt <= maxAlt)
+            .map(r => r.mag);
+        return SkyArchiveDataService.calculateMedian(values);
+    }
+
+    // Median, zenith and horizon brightness of one processed session
+    // (the result of SkyArchiveDataService.processSqmText or fetchAndParseSqm).
+    function sessionMetrics(sqmResult, overrides = {}) {
+        const options = { ...DEFAULT_OPTIONS, ...overrides };
+        return {
+            median: sqmResult.medianSqm,
+            zenith: medianInAltitudeRange(sqmResult.records, options.zenithMinAltitude, 90),
+            horizon: medianInAltitudeRange(sqmResult.records, options.horizonMinAltitude, options.horizonMaxAltitude)
+        };
+    }
+
+    // Compares consecutive sessions of a site. `sessions` are
+    // [{ date, metrics, lightDomes }] sorted by date. Returns the significant
+    // changes: [{ from, to, type: 'metric' | 'dome', metric?, delta?, description }].
+    function detectChanges(sessions, overrides = {}) {
+        const options = { ...DEFAULT_OPTIONS, ...overrides };
+        const changes = [];
+        for (let i = 1; i < sessions.length; i++) {
+            const from = sessions[i - 1];
+            const to = sessions[i];
+            Object.keys(METRIC_LABELS).forEach(metric => {
+                const before = from.metrics[metric];
+                const after = to.metrics[metric];
+                if (before === null || after === null || Math.abs(after - before) < options.changeThreshold) return;
+                const delta = after - before;
+                changes.push({
+                    from: from.date, to: to.date, type: 'metric', metric: metric, delta: delta,
+                    description: `${METRIC_LABELS[metric]} ${delta > 0 ? 'darker' : 'brighter'} by ${Math.abs(delta).toFixed(2)} mag`
+                });
+            });
+            if (from.lightDomes && to.lightDomes) {
+                SkyArchiveLightDomeService.matchDomes(from.lightDomes.domes, to.lightDomes.domes).forEach(pair => {
+                    let description = null;
+                    if (!pair.previous && pair.current.excessMag >= 2 * options.changeThreshold) {
+                        description = `New light dome at ${pair.current.bearing}° (+${pair.current.excessMag.toFixed(2)} mag)`;
+                    } else if (!pair.current && pair.previous.excessMag >= 2 * options.changeThreshold) {
+                        description = `Light dome at ${pair.previous.bearing}° no longer detected`;
+                    } else if (pair.previous && pair.current && Math.abs(pair.excessChange) >= options.changeThreshold) {
+                        description = `Light dome at ${pair.current.bearing}° ${pair.excessChange > 0 ? 'brighter' : 'fainter'} by ${Math.abs(pair.excessChange).toFixed(2)} mag`;
+                    }
+                    if (description) changes.push({ from: from.date, to: to.date, type: 'dome', description: description });
+                });
+            }
+        }
+        return changes;
+    }
+
+    // Returns the display label for a session metric.
+    function getMetricLabel(metric) {
+        return METRIC_LABELS[metric] || metric;
+    }
+
+    return {
+        DEFAULT_OPTIONS: DEFAULT_OPTIONS,
+        groupSessions: groupSessions,
+        sessionMetrics: sessionMetrics,
+        detectChanges: detectChanges,
+        getMetricLabel: getMetricLabel
+    };
+})();
+
+// Node tools (tools/) load the service as a CommonJS module.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SkyArchiveSiteService;
+}
@@ -0,0 +1,105 @@
+// js/services/skyInterpolationService.js
+// Interpolates scattered alt/az readings into a continuous sky surface using
+// inverse-distance weighting over angular (great-circle) distance.
+
+const SkyArchiveSkyInterpolation = (() => {
+
+    const RAD = Math.PI / 180;
+
+    const DEFAULT_OPTIONS = {
+        power: 2,               // IDW exponent; higher values keep the surface closer to nearby readings.
+        smoothing: 5,           // Degrees added in quadrature to every distance; avoids spikes at each reading.
+        maxDistance: 60,        // Degrees; readings farther away than this are ignored.
+        gridSize: 90,           // Cells per side of the projected grid built by interpolateGrid.
+        valueKey: 'mag'         // Reading field to interpolate.
+    };
+
+    // Unit vector of an alt/az direction in degrees.
+    function toVector(alt, az) {
+        const cosAlt = Math.cos(alt * RAD);
+        return [cosAlt * Math.sin(az * RAD), cosAlt * Math.cos(az * RAD), Math.sin(alt * RAD)];
+    }
+
+    // Prepares readings for repeated interpolation: keeps those with a pointing
+    // and a finite value and caches their direction vectors.
+    function prepareSamples(readings, valueKey) {
+        return readings
+            .filter(r => r.alt !== null && r.azi !== null && Number.isFinite(r[valueKey]))
+            .map(r => ({ vector: toVector(r.alt, r.azi), value: r[valueKey] }));
+    }
+
+    // Interpolated value at one direction from prepared samples, or null if no sample is within range.
+    function interpolateSamples(samples, alt, az, options) {
+        const target = toVector(alt, az);
+        const cosMax = Math.cos(options.maxDistance * RAD);
+        let weightSum = 0;
+        let valueSum = 0;
+        for (const sample of samples) {
+            const cosSep = target[0] * sample.vector[0] + target[1] * sample.vector[1] + target[2] * sample.vector[2];
+            if (cosSep < cosMax) continue;
+            const separation = Math.acos(Math.min(1, cosSep)) / RAD;
+            const distance = Math.sqrt(separation * separation + options.smoothing * options.smoothing);
+            if (distance < 1e-6) return sample.value;
+            const weight = 1 / Math.pow(distance, options.power);
+            weightSum += weight;
+            valueSum += weight * sample.value;
+        }
+        return weightSum > 0 ? valueSum / weightSum : null;
+    }
+
+    // Interpolated value at alt/az (degrees) from readings with alt, azi and `valueKey`.
+    // Returns null if no reading lies within `maxDistance`.
+    function interpolateAt(readings, alt, az, overrides = {}) {
+        const options = { ...DEFAULT_OPTIONS, ...overrides };
+        return interpolateSamples(prepareSamples(readings, options.valueKey), alt, az, options);
+    }
+
+    // Interpolates the visible hemisphere onto a square grid in the polar-plot
+    // projection (zenith at the centre, altitude linear in radius, north up,
+    // east right). Cells beyond the horizon take the value at the horizon so
+    // contouring does not break at the edge; callers clip to the circle.
+    // Returns { size, values (row-major, row 0 at the top), min, max } or null without usable readings.
+    function interpolateGrid(readings, overrides = {}) {
+        const options = { ...DEFAULT_OPTIONS, ...overrides };
+        const samples = prepareSamples(readings, options.valueKey);
+        if (samples.length === 0) return null;
+        const size = options.gridSize;
+        const values = new Array(size * size);
+        let min = Infinity;
+        let max = -Infinity;
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                const x = ((col + 0.5) / size) * 2 - 1;
+                const y = 1 - ((row + 0.5) / size) * 2;
+                const r = Math.min(Math.sqrt(x * x + y * y), 1);
+                const alt = 90 * (1 - r);
+                const az = (Math.atan2(x, y) / RAD + 360) % 360;
+                const value = interpolateSamples(samples, alt, az, options);
+                values[row * size + col] = value;
+                if (value !== null) {
+                    min = Math.min(min, value);
+                    max = Math.max(max, value);
+                }
+            }
+        }
+        if (min === Infinity) return null;
+        // Cells out of range of every reading get the grid mean so contours stay closed.
+        const filled = values.filter(v => v !== null);
+        const mean = filled.reduce((sum, v) => sum + v, 0) / filled.length;
+        for (let i = 0; i < values.length; i++) {
+            if (values[i] === null) values[i] = mean;
+        }
+        return { size: size, values: values, min: min, max: max };
+    }
+
+    return {
+        DEFAULT_OPTIONS: DEFAULT_OPTIONS,
+        interpolateAt: interpolateAt,
+        interpolateGrid: interpolateGrid
+    };
+})();
+
+// Node tools (tools/) load the service as a CommonJS module.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SkyArchiveSkyInterpolation;
+}
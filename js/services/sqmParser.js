@@ -0,0 +1,478 @@
+// js/services/sqmParser.js
+// Parses SQM log files into typed reading records shared by every page.
+// Each supported photometer format is a small adapter that detects its own
+// header; every adapter produces the same record shape.
+
+const SkyArchiveSqmParser = (() => {
+
+    // Default column layout of the TAS54D log. Used when a header is missing
+    // or does not name a column.
+    const DEFAULT_COLUMNS = ['index', 'date', 'time', 'tempIR', 'tempSensor', 'mag', 'hz', 'alt', 'azi', 'lat', 'lon', 'elevation', 'battery'];
+
+    // Maps TAS header labels (lower case) to record fields.
+    const HEADER_ALIASES = {
+        't ir': 'tempIR',
+        'tir': 'tempIR',
+        't sens': 'tempSensor',
+        'tsens': 'tempSensor',
+        'mag': 'mag',
+        'sqm': 'mag',
+        'hz': 'hz',
+        'freq': 'hz',
+        'alt': 'alt',
+        'altitude': 'alt',
+        'azi': 'azi',
+        'az': 'azi',
+        'azimuth': 'azi',
+        'lat': 'lat',
+        'latitude': 'lat',
+        'lon': 'lon',
+        'longitude': 'lon',
+        'sl': 'elevation',
+        'bat': 'battery',
+        'battery': 'battery'
+    };
+
+    // Maps column labels of delimited exports (normalized, see normalizeLabel)
+    // to record fields. Adapters extend this with their own overrides.
+    const TABLE_ALIASES = {
+        'utc date & time': 'timestamp',
+        'date time': 'timestamp',
+        'datetime': 'timestamp',
+        'timestamp': 'timestamp',
+        'tstamp': 'timestamp',
+        'utc': 'timestamp',
+        'date': 'date',
+        'time': 'time',
+        'msas': 'mag',
+        'mag': 'mag',
+        'magnitude': 'mag',
+        'sky brightness': 'mag',
+        'sqm': 'mag',
+        'mpsas': 'mag',
+        'frequency': 'hz',
+        'freq': 'hz',
+        'hz': 'hz',
+        'temperature': 'tempSensor',
+        'enclosure temperature': 'tempSensor',
+        'box temperature': 'tempSensor',
+        'box_temperature': 'tempSensor',
+        'ambient temperature': 'tempSensor',
+        'tamb': 'tempSensor',
+        'sky temperature': 'tempIR',
+        'sky_temperature': 'tempIR',
+        'tsky': 'tempIR',
+        'latitude': 'lat',
+        'lat': 'lat',
+        'longitude': 'lon',
+        'lon': 'lon',
+        'long': 'lon',
+        'lng': 'lon',
+        'elevation': 'elevation',
+        'elev': 'elevation',
+        'height': 'elevation'
+    };
+
+    // Parses a number, returning null for empty or non-numeric cells.
+    function parseNumber(value) {
+        if (value === undefined || value === null || String(value).trim() === '') return null;
+        const num = parseFloat(value);
+        return Number.isFinite(num) ? num : null;
+    }
+
+    // Normalizes "2024:9:4" or "2024-09-04" to "2024-09-04".
+    function normalizeDate(value) {
+        if (!value) return null;
+        const parts = value.split(/[-:./]/).map(p => parseInt(p, 10));
+        if (parts.length !== 3 || parts.some(isNaN)) return null;
+        const [year, month, day] = parts;
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    // Normalizes "1:58:9" or "01:58:09" to "01:58:09".
+    function normalizeTime(value) {
+        if (!value) return null;
+        const parts = value.split(':').map(p => parseFloat(p));
+        if (parts.length < 2 || parts.length > 3 || parts.some(isNaN)) return null;
+        const [hours, minutes, seconds = 0] = parts;
+        return [hours, minutes, Math.floor(seconds)].map(p => String(p).padStart(2, '0')).join(':');
+    }
+
+    // Offset in milliseconds of an IANA time zone from UTC at a given instant.
+    function timeZoneOffset(instant, timeZone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone, hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+        }).formatToParts(instant).forEach(part => { parts[part.type] = parseInt(part.value, 10); });
+        const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return localAsUtc - Math.floor(instant.getTime() / 1000) * 1000;
+    }
+
+    // Builds a UTC timestamp from a normalized date and time. Without a time
+    // zone the values are read as UTC; with an IANA `timeZone` they are read
+    // as local civil time there (TAS and phone logs use local time).
+    function buildTimestamp(date, time, timeZone = null) {
+        if (!date) return null;
+        const naive = new Date(`${date}T${time || '00:00:00'}Z`);
+        if (isNaN(naive.getTime())) return null;
+        if (!timeZone) return naive;
+        try {
+            // Two passes settle the offset around daylight-saving changes.
+            let timestamp = new Date(naive.getTime() - timeZoneOffset(naive, timeZone));
+            timestamp = new Date(naive.getTime() - timeZoneOffset(timestamp, timeZone));
+            return timestamp;
+        } catch (error) {
+            console.warn(`SqmParser: Unknown time zone "${timeZone}", reading times as UTC.`);
+            return naive;
+        }
+    }
+
+    // Reads device model, firmware and column mapping from a "#" header line.
+    // Header cells line up with data columns: cell 0 is "#", cells 1 and 2
+    // sit above the date and time columns and hold model and firmware.
+    function parseHeaderLine(line) {
+        const cells = line.replace(/^#/, '').split('\t').map(c => c.trim());
+        const columns = [...DEFAULT_COLUMNS];
+        let namedColumns = 0;
+        cells.forEach((cell, i) => {
+            const key = HEADER_ALIASES[cell.toLowerCase()];
+            if (key && i > 2) {
+                columns[i] = key;
+                namedColumns++;
+            }
+        });
+        if (namedColumns === 0) return null;
+        return {
+            deviceModel: cells[1] || null,
+            firmware: cells[2] ? cells[2].replace(/^[a-z]+:/i, '') : null,
+            headerLabels: cells.slice(3).filter(Boolean),
+            columns: columns
+        };
+    }
+
+    // Splits an ISO-like timestamp ("2011-09-29T04:00:20.000", "2024-05-01 21:30:00Z")
+    // into normalized date, time and a Date. Values without an offset are read as UTC.
+    function splitTimestamp(value) {
+        if (!value) return { date: null, time: null, timestamp: null };
+        const trimmed = String(value).trim().replace(' ', 'T');
+        const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/i.test(trimmed);
+        const timestamp = new Date(hasOffset ? trimmed : `${trimmed}Z`);
+        if (isNaN(timestamp.getTime())) return { date: null, time: null, timestamp: null };
+        const iso = timestamp.toISOString();
+        return { date: iso.slice(0, 10), time: iso.slice(11, 19), timestamp: timestamp };
+    }
+
+    // Builds a reading record from raw cell values keyed by record field.
+    // Every adapter goes through here so records always have the same fields:
+    // `date` and `time` as logged, `timestamp` as the UTC instant.
+    // Returns null if the row has no magnitude.
+    function createRecord(raw, scan, defaults = {}, timeZone = null) {
+        let date = normalizeDate(raw.date);
+        let time = normalizeTime(raw.time);
+        let timestamp = buildTimestamp(date, time, timeZone);
+        if (raw.timestamp) {
+            ({ date, time, timestamp } = splitTimestamp(raw.timestamp));
+        }
+        const pick = key => {
+            const value = parseNumber(raw[key]);
+            return value !== null ? value : (defaults[key] !== undefined ? defaults[key] : null);
+        };
+        const record = {
+            index: parseNumber(raw.index),
+            scan: scan,
+            date: date,
+            time: time,
+            timestamp: timestamp,
+            tempIR: pick('tempIR'),
+            tempSensor: pick('tempSensor'),
+            mag: pick('mag'),
+            hz: pick('hz'),
+            alt: pick('alt'),
+            azi: pick('azi'),
+            lat: pick('lat'),
+            lon: pick('lon'),
+            elevation: pick('elevation'),
+            battery: pick('battery')
+        };
+        return record.mag === null ? null : record;
+    }
+
+    // Converts one TAS data line into a reading record, or null if it has no magnitude.
+    function parseDataLine(line, columns, scan, timeZone) {
+        const cells = line.trim().split(/\s+/);
+        const raw = {};
+        columns.forEach((key, i) => { raw[key] = cells[i]; });
+        return createRecord(raw, scan, {}, timeZone);
+    }
+
+    // Parses the lines of a TAS54D log. Each "#" header line starts a new
+    // scan, so files holding several passes keep them apart. The TAS clock
+    // runs on local time, given by `options.timeZone`.
+    function parseTas(lines, options = {}) {
+        const records = [];
+        let metadata = null;
+        let columns = DEFAULT_COLUMNS;
+        let scan = 0;
+        let skippedLines = 0;
+
+        for (const line of lines) {
+            const trimmedLine = line.trim();
+            if (trimmedLine.length === 0) continue;
+            if (trimmedLine.startsWith('#')) {
+                const header = parseHeaderLine(line);
+                if (header) {
+                    columns = header.columns;
+                    scan++;
+                    if (!metadata) metadata = { ...header, scans: 0 };
+                }
+                continue;
+            }
+            if (scan === 0) scan = 1;
+            const record = parseDataLine(trimmedLine, columns, scan, options.timeZone);
+            if (record) records.push(record);
+            else skippedLines++;
+        }
+
+        if (!metadata) {
+            metadata = { deviceModel: null, firmware: null, headerLabels: [], columns: DEFAULT_COLUMNS };
+        }
+        metadata.scans = scan;
+        return { metadata, records, skippedLines };
+    }
+
+    // Lower-cases a column label and drops quotes and unit suffixes,
+    // e.g. "Sky brightness (mag/arcsec²)" -> "sky brightness".
+    function normalizeLabel(label) {
+        return String(label || '')
+            .replace(/["']/g, '')
+            .replace(/\(.*?\)|\[.*?\]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .toLowerCase();
+    }
+
+    // Picks the delimiter that splits a header line into the most cells.
+    function detectDelimiter(line) {
+        return [';', ',', '\t'].reduce((best, delimiter) =>
+            line.split(delimiter).length > line.split(best).length ? delimiter : best, ',');
+    }
+
+    // Returns the lines that are not blank and not "#" comments.
+    function dataLines(lines) {
+        return lines.map(line => line.trim()).filter(line => line.length > 0 && !line.startsWith('#'));
+    }
+
+    // Parses a delimited table whose first non-comment line names the columns.
+    // `aliases` maps normalized labels to record fields; `defaults` fills
+    // fields the export does not carry (e.g. a zenith pointing). `timeZone`
+    // applies to separate date/time columns, not to full timestamps.
+    function parseDelimitedTable(lines, aliases, defaults = {}, timeZone = null) {
+        const rows = dataLines(lines);
+        const records = [];
+        let skippedLines = 0;
+        if (rows.length === 0) return { labels: [], columns: [], records, skippedLines };
+
+        const delimiter = detectDelimiter(rows[0]);
+        const labels = rows[0].split(delimiter).map(label => label.trim().replace(/^"|"$/g, ''));
+        const columns = labels.map(label => aliases[normalizeLabel(label)] || null);
+        rows.slice(1).forEach((row, i) => {
+            const cells = row.split(delimiter).map(cell => cell.trim().replace(/^"|"$/g, ''));
+            const raw = { index: i + 1 };
+            columns.forEach((key, c) => { if (key && raw[key] === undefined) raw[key] = cells[c]; });
+            const record = createRecord(raw, 1, defaults, timeZone);
+            if (record) records.push(record);
+            else skippedLines++;
+        });
+        return { labels, columns: columns.filter(Boolean), records, skippedLines };
+    }
+
+    // Reads "# Key: value" header lines of the IDA/NSBM format into an object
+    // keyed by lower-case key.
+    function readIdaHeader(lines) {
+        const header = {};
+        lines.forEach(line => {
+            const match = line.match(/^#\s*([^:]+):\s*(.*)$/);
+            if (match) header[match[1].trim().toLowerCase()] = match[2].trim();
+        });
+        return header;
+    }
+
+    // Adapter for the TAS54D tab layout logged by our own scanning photometer.
+    const tasAdapter = {
+        id: 'tas54d',
+        label: 'TAS54D scan log',
+        detect(lines) {
+            const header = lines.find(line => line.trim().startsWith('#'));
+            if (header && /\tTAS|T IR|T Sens/i.test(header)) return true;
+            const firstRow = dataLines(lines)[0];
+            return !!firstRow && firstRow.split(/\s+/).length >= 9 && /^\d+$/.test(firstRow.split(/\s+/)[0]);
+        },
+        parse: parseTas
+    };
+
+    // Adapter for the IDA/NSBM community standard ("SQM-LU/LE" text format),
+    // also written by TESS-W photometers. Readings are semicolon-separated,
+    // metadata sits in "# Key: value" lines, and the column order is given
+    // by the "# UTC Date & Time, ..." line.
+    const idaAdapter = {
+        id: 'ida',
+        label: 'IDA/NSBM standard (SQM-LU/LE, TESS-W)',
+        detect(lines) {
+            const head = lines.slice(0, 60).join('\n');
+            return /^#\s*(Light Pollution Monitoring Data Format|Community Standard Skyglow Data Format)/im.test(head) ||
+                (/^#\s*Device type:/im.test(head) && /^#\s*END OF HEADER/im.test(head));
+        },
+        parse(lines) {
+            const header = readIdaHeader(lines);
+            const labelLine = lines.find(line => /^#\s*UTC Date & Time/i.test(line.trim()));
+            const labels = labelLine ? labelLine.replace(/^#/, '').split(',') : ['UTC Date & Time', 'Local Date & Time', 'Temperature', 'Counts', 'Frequency', 'MSAS'];
+            const columns = labels.map(label => (normalizeLabel(label) === 'local date & time') ? null : (TABLE_ALIASES[normalizeLabel(label)] || null));
+
+            // Stationary instruments carry one position and one look direction
+            // (zenith angle, azimuth) for the whole file.
+            const position = (header['position (lat, lon, elev(m))'] || '').split(',').map(parseNumber);
+            const direction = (header['measurement direction per channel'] || '').split(',').map(parseNumber);
+            const zenithAngle = direction[0] !== null && direction[0] !== undefined ? direction[0] : 0;
+            const defaults = {
+                alt: 90 - zenithAngle,
+                azi: direction[1] !== null && direction[1] !== undefined ? direction[1] : 0,
+                lat: position[0] !== undefined ? position[0] : null,
+                lon: position[1] !== undefined ? position[1] : null,
+                elevation: position[2] !== undefined ? position[2] : null
+            };
+
+            const records = [];
+            let skippedLines = 0;
+            dataLines(lines).forEach((row, i) => {
+                const cells = row.split(';');
+                const raw = { index: i + 1 };
+                columns.forEach((key, c) => { if (key && raw[key] === undefined) raw[key] = cells[c]; });
+                const record = createRecord(raw, 1, defaults);
+                if (record) records.push(record);
+                else skippedLines++;
+            });
+
+            return {
+                metadata: {
+                    deviceModel: header['device type'] || null,
+                    firmware: header['sqm firmware version'] || header['firmware version'] || null,
+                    instrumentId: header['instrument id'] || null,
+                    locationName: header['location name'] || null,
+                    headerLabels: labels.map(label => label.trim()),
+                    columns: columns.filter(Boolean),
+                    scans: 1
+                },
+                records,
+                skippedLines
+            };
+        }
+    };
+
+    // Adapter for TESS-W CSV exports from the STARS4ALL network, which use a
+    // header row instead of IDA comments. TESS-W looks at the zenith unless
+    // the export carries altitude/azimuth columns.
+    const tessCsvAdapter = {
+        id: 'tess-csv',
+        label: 'TESS-W CSV export',
+        detect(lines) {
+            const firstRow = dataLines(lines)[0] || '';
+            const labels = firstRow.split(detectDelimiter(firstRow)).map(normalizeLabel);
+            const hasMag = labels.some(label => ['mag', 'magnitude', 'msas'].includes(label));
+            const isTess = /tess/i.test(lines.slice(0, 5).join(' ')) ||
+                labels.some(label => ['tsky', 'tamb', 'sky_temperature', 'box_temperature', 'sky temperature'].includes(label));
+            return hasMag && isTess;
+        },
+        parse(lines) {
+            const aliases = { ...TABLE_ALIASES, 'alt': 'alt', 'altitude': 'alt', 'azi': 'azi', 'az': 'azi', 'azimuth': 'azi' };
+            const { labels, columns, records, skippedLines } = parseDelimitedTable(lines, aliases, { alt: 90, azi: 0 });
+            const nameMatch = lines.slice(0, 5).join(' ').match(/\b(stars\d+|tess[-\w]*)/i);
+            return {
+                metadata: { deviceModel: 'TESS-W', firmware: null, instrumentId: nameMatch ? nameMatch[1] : null, headerLabels: labels, columns, scans: 1 },
+                records,
+                skippedLines
+            };
+        }
+    };
+
+    // Adapter for CSV exports of the "Dark Sky Meter" phone app. The phone is
+    // held at the zenith, its "Altitude" column is the GPS elevation, and
+    // dates and times are the phone's local time.
+    const dsmAdapter = {
+        id: 'dsm',
+        label: 'Dark Sky Meter export',
+        detect(lines) {
+            if (/dark\s*sky\s*meter/i.test(lines.slice(0, 5).join(' '))) return true;
+            const firstRow = dataLines(lines)[0] || '';
+            const labels = firstRow.split(detectDelimiter(firstRow)).map(normalizeLabel);
+            return labels.includes('sky brightness') && labels.some(label => ['nelm', 'bortle', 'latitude'].includes(label));
+        },
+        parse(lines, options = {}) {
+            const aliases = { ...TABLE_ALIASES, 'altitude': 'elevation' };
+            const { labels, columns, records, skippedLines } = parseDelimitedTable(lines, aliases, { alt: 90, azi: 0 }, options.timeZone);
+            return {
+                metadata: { deviceModel: 'Dark Sky Meter', firmware: null, headerLabels: labels, columns, scans: 1 },
+                records,
+                skippedLines
+            };
+        }
+    };
+
+    // Registered adapters in detection order. The TAS adapter comes last so
+    // the more specific formats get the first look; it is also the fallback.
+    const adapters = [idaAdapter, tessCsvAdapter, dsmAdapter, tasAdapter];
+
+    // Adds a format adapter ({ id, label, detect(lines), parse(lines, options) }) ahead of the built-in ones.
+    function registerFormat(adapter) {
+        if (!adapter || !adapter.id || typeof adapter.detect !== 'function' || typeof adapter.parse !== 'function') {
+            console.error("SqmParser: Invalid format adapter.", adapter);
+            return;
+        }
+        const existingIndex = adapters.findIndex(a => a.id === adapter.id);
+        if (existingIndex !== -1) adapters.splice(existingIndex, 1);
+        adapters.unshift(adapter);
+    }
+
+    // Returns the id of the adapter that recognizes the text, or 'tas54d'.
+    function detectFormat(textData) {
+        const lines = String(textData || '').split(/\r?\n/);
+        const adapter = adapters.find(a => a.detect(lines));
+        return adapter ? adapter.id : tasAdapter.id;
+    }
+
+    // Lists the registered formats as { id, label }.
+    function getFormats() {
+        return adapters.map(a => ({ id: a.id, label: a.label }));
+    }
+
+    // Parses SQM log text in any registered format.
+    // Options: `format` skips detection, `timeZone` (IANA name) is the zone of
+    // formats that log local time.
+    // Returns { metadata, records, skippedLines }; `metadata.format` names the adapter used.
+    function parse(textData, sourceName = 'data', options = {}) {
+        const lines = String(textData || '').split(/\r?\n/);
+        const adapter = (options.format && adapters.find(a => a.id === options.format)) ||
+            adapters.find(a => a.detect(lines)) || tasAdapter;
+        const result = adapter.parse(lines, options);
+        result.metadata.format = adapter.id;
+
+        if (result.records.length === 0) {
+            console.warn(`SqmParser: No valid SQM readings found in ${sourceName} (format: ${adapter.id})`);
+        }
+        return result;
+    }
+
+    return {
+        parse: parse,
+        detectFormat: detectFormat,
+        registerFormat: registerFormat,
+        getFormats: getFormats,
+        normalizeDate: normalizeDate,
+        normalizeTime: normalizeTime
+    };
+})();
+
+// Node tools (tools/) load the service as a CommonJS module.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SkyArchiveSqmParser;
+}
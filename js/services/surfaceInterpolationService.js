@@ -0,0 +1,71 @@
+// js/services/surfaceInterpolationService.js
+// Interpolates the measured sky brightness of observation points into a
+// surface on the ground using inverse-distance weighting over great-circle
+// distance. The surface is clipped to a radius around the points so it never
+// extends far from a measurement.
+
+const SkyArchiveSurfaceInterpolation = (() => {
+
+    const DEFAULT_OPTIONS = {
+        power: 2,               // IDW exponent; higher values keep the surface closer to nearby points.
+        smoothingKm: 1,         // Added in quadrature to every distance; avoids spikes at each point.
+        maxDistanceKm: 15       // Beyond this distance from every point the surface has no value.
+    };
+
+    const RAD = Math.PI / 180;
+
+    // Points ({ latitude, longitude, value }) with finite coordinates and value.
+    function prepareSamples(points) {
+        return points
+            .map(p => ({ latitude: p.latitude, longitude: p.longitude, value: parseFloat(p.value) }))
+            .filter(p => Number.isFinite(p.latitude) && Number.isFinite(p.longitude) && Number.isFinite(p.value));
+    }
+
+    // Interpolated value at a coordinate from prepared samples, or null if no
+    // sample lies within `maxDistanceKm`. Use with prepareSamples when
+    // interpolating many coordinates.
+    function interpolateSamples(samples, latitude, longitude, overrides = {}) {
+        const options = { ...DEFAULT_OPTIONS, ...overrides };
+        let weightSum = 0;
+        let valueSum = 0;
+        for (const sample of samples) {
+            const distanceKm = SkyArchiveGeoService.calculateDistance(latitude, longitude, sample.latitude, sample.longitude);
+            if (distanceKm > options.maxDistanceKm) continue;
+            const weight = 1 / Math.pow(Math.sqrt(distanceKm * distanceKm + options.smoothingKm * options.smoothingKm), options.power);
+            weightSum += weight;
+            valueSum += weight * sample.value;
+        }
+        return weightSum > 0 ? valueSum / weightSum : null;
+    }
+
+    // Interpolated value at a coordinate from points ({ latitude, longitude, value }).
+    // Returns null outside `maxDistanceKm` of every point.
+    function interpolateAt(points, latitude, longitude, overrides = {}) {
+        return interpolateSamples(prepareSamples(points), latitude, longitude, overrides);
+    }
+
+    // Whether any point lies within `maxDistanceKm` of the box { north,
+    // south, east, west }, so callers can skip empty map tiles.
+    function reachesBounds(points, bounds, overrides = {}) {
+        const options = { ...DEFAULT_OPTIONS, ...overrides };
+        const marginLat = options.maxDistanceKm / (SkyArchiveGeoService.EARTH_RADIUS_KM * RAD);
+        return prepareSamples(points).some(p => {
+            const marginLon = marginLat / Math.max(Math.cos(p.latitude * RAD), 0.01);
+            return p.latitude >= bounds.south - marginLat && p.latitude <= bounds.north + marginLat &&
+                p.longitude >= bounds.west - marginLon && p.longitude <= bounds.east + marginLon;
+        });
+    }
+
+    return {
+        DEFAULT_OPTIONS: DEFAULT_OPTIONS,
+        prepareSamples: prepareSamples,
+        interpolateSamples: interpolateSamples,
+        interpolateAt: interpolateAt,
+        reachesBounds: reachesBounds
+    };
+})();
+
+// Node tools (tools/) load the service as a CommonJS module.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SkyArchiveSurfaceInterpolation;
+}
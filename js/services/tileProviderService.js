@@ -0,0 +1,179 @@
+// js/services/tileProviderService.js
+// Tile providers of the base maps, shared by the main map and the panorama
+// viewer's transition map. Each base map has an ordered fallback chain: a
+// provider whose tiles keep failing (blocked, offline, down) is replaced by
+// the next one, ending with the basemap served from the site itself.
+
+const SkyArchiveTileProviders = (() => {
+
+    // `offline` marks the providers whose tiles may be saved for offline use
+    // (the OpenStreetMap tile policy forbids bulk downloads). The local
+    // basemap is built by tools/build-basemap.js.
+    const PROVIDERS = {
+        dark: {
+            id: 'dark', label: 'Dark Map', provider: 'CARTO', offline: true,
+            url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+            options: { attribution: '', subdomains: 'abcd', maxZoom: 19 }
+        },
+        light: {
+            id: 'light', label: 'Light Map', provider: 'CARTO', offline: true,
+            url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
+            options: { attribution: '', subdomains: 'abcd', maxZoom: 19 }
+        },
+        osm: {
+            id: 'osm', label: 'OpenStreetMap', provider: 'OpenStreetMap', offline: false,
+            url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+            options: { attribution: '', subdomains: 'abc', maxZoom: 19 }
+        },
+        local: {
+            id: 'local', label: 'Local Basemap', provider: 'Local low-zoom basemap', offline: false,
+            url: 'img/map_tiles/basemap/{z}/{x}/{y}.png',
+            options: { attribution: '', maxNativeZoom: 4, maxZoom: 19 }
+        }
+    };
+
+    // Base maps offered in the layers control, each with the providers to
+    // try in order. Every chain ends with the local basemap.
+    const BASE_MAPS = {
+        dark: { id: 'dark', label: 'Dark Map', chain: ['dark', 'osm', 'local'] },
+        light: { id: 'light', label: 'Light Map', chain: ['light', 'osm', 'local'] },
+        osm: { id: 'osm', label: 'OpenStreetMap', chain: ['osm', 'dark', 'local'] }
+    };
+
+    const DEFAULT_OPTIONS = {
+        maxConsecutiveErrors: 4     // Tile errors in a row, with no tile loading in between, before a provider counts as failed.
+    };
+
+    // Providers that failed on this page; base maps added later skip them.
+    // They are tried again when the browser comes back online.
+    const failedProviders = new Set();
+    const activeLayers = new Set(); // Layers on a map, reset when the browser comes back online.
+
+    // Whether tile `coords` of a provider is in a region saved with
+    // SkyArchiveOfflineService (not loaded on every page).
+    function isTileSaved(providerId, coords) {
+        if (typeof SkyArchiveOfflineService === 'undefined' || !coords) return false;
+        return SkyArchiveOfflineService.isTileSaved(providerId, coords.z, coords.x, coords.y);
+    }
+
+    // Failed providers get another chance when the network returns.
+    if (typeof window !== 'undefined') {
+        window.addEventListener('online', () => {
+            failedProviders.clear();
+            activeLayers.forEach(layer => layer._resetProviders(true));
+        });
+    }
+
+    let FallbackTileLayer = null; // Defined on first use, once Leaflet is loaded.
+
+    function defineLayerClass() {
+        FallbackTileLayer = L.TileLayer.extend({
+            initialize: function(baseMap, options) {
+                this._baseMap = baseMap;
+                this._fallbackOptions = options;
+                this._providerIndex = 0;
+                this._consecutiveErrors = 0;
+                const provider = this.getProvider();
+                L.TileLayer.prototype.initialize.call(this, provider.url, provider.options);
+                this.on('tileload', () => { this._consecutiveErrors = 0; });
+                this.on('tileerror', this._onTileError, this);
+            },
+
+            getBaseMap: function() {
+                return this._baseMap;
+            },
+
+            // The provider whose tiles the layer shows.
+            getProvider: function() {
+                return PROVIDERS[this._baseMap.chain[this._providerIndex]];
+            },
+
+            // Whether the layer shows a fallback instead of its first provider.
+            isFallback: function() {
+                return this._providerIndex > 0;
+            },
+
+            onAdd: function(map) {
+                // The tiles are drawn by onAdd itself.
+                this._resetProviders(false);
+                activeLayers.add(this);
+                L.TileLayer.prototype.onAdd.call(this, map);
+            },
+
+            onRemove: function(map) {
+                activeLayers.delete(this);
+                L.TileLayer.prototype.onRemove.call(this, map);
+            },
+
+            createTile: function(coords, done) {
+                const tile = L.TileLayer.prototype.createTile.call(this, coords, done);
+                tile._tileProvider = this.getProvider().id;
+                return tile;
+            },
+
+            _onTileError: function(event) {
+                const provider = this.getProvider();
+                // Tiles requested before a switch may still fail afterwards.
+                if (event.tile._tileProvider !== provider.id) return;
+                // Offline, or inside a region saved for offline use, a missing
+                // tile says nothing about the provider, and the saved tiles must stay in use.
+                if (!navigator.onLine || isTileSaved(provider.id, event.coords)) return;
+                this._consecutiveErrors++;
+                if (this._consecutiveErrors < this._fallbackOptions.maxConsecutiveErrors) return;
+                if (this._providerIndex >= this._baseMap.chain.length - 1) return;
+                console.warn(`TileProviders: ${provider.provider} tiles for ${this._baseMap.label} keep failing; switching to the next provider.`);
+                failedProviders.add(provider.id);
+                this._skipFailedProviders(true);
+            },
+
+            // Goes back to the first provider of the chain that has not failed.
+            _resetProviders: function(redraw) {
+                const previous = this.getProvider();
+                this._providerIndex = 0;
+                this._skipFailedProviders(redraw, previous);
+            },
+
+            // Moves to the first provider of the chain that has not failed
+            // (the last one is always kept) and fires `providerchange`.
+            _skipFailedProviders: function(redraw, previous = this.getProvider()) {
+                while (this._providerIndex < this._baseMap.chain.length - 1 && failedProviders.has(this.getProvider().id)) {
+                    this._providerIndex++;
+                }
+                const provider = this.getProvider();
+                if (provider === previous) return;
+                this._consecutiveErrors = 0;
+                // Options of the previous provider (e.g. maxNativeZoom) must not carry over.
+                this.options = Object.create(Object.getPrototypeOf(this).options);
+                L.setOptions(this, provider.options);
+                this.setUrl(provider.url, !redraw);
+                this.fire('providerchange', { provider: provider, previous: previous });
+            }
+        });
+    }
+
+    // Tile layer of a base map (an id of BASE_MAPS) that falls back along
+    // its chain and fires `providerchange` ({ provider, previous }) on a switch.
+    function createLayer(baseMapId, overrides = {}) {
+        const baseMap = BASE_MAPS[baseMapId];
+        if (!baseMap) throw new Error(`Unknown base map: ${baseMapId}`);
+        if (!FallbackTileLayer) defineLayerClass();
+        return new FallbackTileLayer(baseMap, { ...DEFAULT_OPTIONS, ...overrides });
+    }
+
+    // Name of a base map layer for the layers control, with its active
+    // provider, e.g. "Dark Map · CARTO" or "Dark Map · OpenStreetMap (fallback)".
+    function layerName(layer) {
+        const label = layer.getBaseMap().label;
+        const provider = layer.getProvider().provider;
+        if (!layer.isFallback() && provider === label) return label;
+        return `${label} <span class="tile-provider${layer.isFallback() ? ' fallback' : ''}">· ${provider}${layer.isFallback() ? ' (fallback)' : ''}</span>`;
+    }
+
+    return {
+        PROVIDERS: PROVIDERS,
+        BASE_MAPS: BASE_MAPS,
+        DEFAULT_OPTIONS: DEFAULT_OPTIONS,
+        createLayer: createLayer,
+        layerName: layerName
+    };
+})();
@@ -1,33 +1,13 @@
 // js/services/visualizationService.js
-// Provides functions for creating Chart.js histograms and D3.js polar plots.
+// Provides functions for creating Chart.js histograms and profiles and D3.js polar plots.
 
 const SkyArchiveVisualizationService = (() => {
 
-    // Creates or updates a Chart.js histogram for SQM data distribution.
-    function createHistogram(canvasId, sqmValues) {
-        if (!sqmValues || sqmValues.length === 0) {
-            console.warn("VisualizationService: No SQM values for histogram:", canvasId);
-            const canvas = document.getElementById(canvasId);
-            if (canvas) {
-                const ctx = canvas.getContext('2d');
-                const existingChart = Chart.getChart(canvasId);
-                if (existingChart) existingChart.destroy();
-                ctx.clearRect(0, 0, canvas.width, canvas.height);
-                ctx.textAlign = 'center';
-                ctx.fillStyle = '#a0a0a0';
-                ctx.fillText('No SQM data available.', canvas.width / 2, canvas.height / 2);
-            }
-            return null;
-        }
-        const canvas = document.getElementById(canvasId);
-         if (!canvas) {
-             console.error(`VisualizationService: Canvas element ${canvasId} not found.`);
-             return null;
-         }
-        const ctx = canvas.getContext('2d');
-        const existingChart = Chart.getChart(canvasId);
-        if (existingChart) existingChart.destroy();
+    // Colours for datasets drawn together in comparison mode.
+    const COMPARISON_COLORS = ['#4FC3F7', '#FF8C00', '#9CCC65', '#E57373', '#BA68C8', '#FFD54F'];
 
+    // Histogram bin labels and counts for SQM values (0.2 mag bins from 16 to 22, plus open ends).
+    function binSqmValues(sqmValues) {
         const binWidth = 0.2;
         const minRange = 16.0;
         const maxRange = 22.0;
@@ -51,38 +31,284 @@ const SkyArchiveVisualizationService = (() => {
                 // Edge cases for values at the exact maxRange boundary or slightly off due to precision
             }
         });
+        return { labels: labels, bins: bins };
+    }
+
+    // Fill and border colour of each histogram bin: the darkness class
+    // (SkyArchiveDarknessScale) of the bin's centre.
+    function binClassColors(labels) {
+        const binWidth = 0.2;
+        return labels.map((label, index) => {
+            const centre = index === 0 ? 16.0 - binWidth / 2 : parseFloat(label.replace('>', '')) + binWidth / 2;
+            const darknessClass = SkyArchiveDarknessScale.classify(centre);
+            return { fill: `${darknessClass.color}B3`, border: darknessClass.outline || darknessClass.color };
+        });
+    }
+
+    // Creates or updates a Chart.js histogram for SQM data distribution.
+    // `sqmValues` is either one array of magnitudes or, to compare sessions,
+    // an array of { label, values } datasets drawn overlaid. Options:
+    // `normalize` plots each dataset as a share of its readings (default on
+    // for several datasets, so sessions of different length compare fairly).
+    function createHistogram(canvasId, sqmValues, options = {}) {
+        const isComparison = Array.isArray(sqmValues) && sqmValues.length > 0 && typeof sqmValues[0] === 'object';
+        const datasets = isComparison ? sqmValues : [{ label: 'SQM Measurement Count', values: sqmValues || [] }];
+        if (datasets.every(dataset => dataset.values.length === 0)) {
+            console.warn("VisualizationService: No SQM values for histogram:", canvasId);
+            const canvas = document.getElementById(canvasId);
+            if (canvas) {
+                const ctx = canvas.getContext('2d');
+                const existingChart = Chart.getChart(canvasId);
+                if (existingChart) existingChart.destroy();
+                ctx.clearRect(0, 0, canvas.width, canvas.height);
+                ctx.textAlign = 'center';
+                ctx.fillStyle = '#a0a0a0';
+                ctx.fillText('No SQM data available.', canvas.width / 2, canvas.height / 2);
+            }
+            return null;
+        }
+        const canvas = document.getElementById(canvasId);
+         if (!canvas) {
+             console.error(`VisualizationService: Canvas element ${canvasId} not found.`);
+             return null;
+         }
+        const ctx = canvas.getContext('2d');
+        const existingChart = Chart.getChart(canvasId);
+        if (existingChart) existingChart.destroy();
+
+        const normalize = options.normalize !== undefined ? options.normalize : isComparison;
+        const labels = binSqmValues([]).labels;
+        // A single session's bars take the colours of the map's darkness classes.
+        const classColors = isComparison ? null : binClassColors(labels);
+        const chartDatasets = datasets.map((dataset, index) => {
+            const { bins } = binSqmValues(dataset.values);
+            const color = isComparison ? COMPARISON_COLORS[index % COMPARISON_COLORS.length] : null;
+            return {
+                label: dataset.label,
+                data: normalize ? bins.map(count => (dataset.values.length > 0 ? 100 * count / dataset.values.length : 0)) : bins,
+                backgroundColor: isComparison ? `${color}80` : classColors.map(c => c.fill),
+                borderColor: isComparison ? color : classColors.map(c => c.border),
+                borderWidth: 1,
+                barPercentage: 1.0,
+                categoryPercentage: 0.95,
+                grouped: !isComparison
+            };
+        });
+        const yTitle = normalize ? 'Share of Readings (%)' : 'Measurement Count';
 
         const chart = new Chart(ctx, {
             type: 'bar',
             data: {
                 labels: labels,
-                datasets: [{
-                    label: 'SQM Measurement Count',
-                    data: bins,
-                    backgroundColor: 'rgba(128, 128, 128, 0.7)',
-                    borderColor: 'rgba(128, 128, 128, 1)',
-                    borderWidth: 1,
-                    barPercentage: 1.0,
-                    categoryPercentage: 0.95
-                }]
+                datasets: chartDatasets
             },
             options: { /* Options remain the same, keeping them for brevity */
                 responsive: true,
                 maintainAspectRatio: false,
-                plugins: { legend: { display: false }, tooltip: { callbacks: { title: (tooltipItems) => `SQM Range: ${tooltipItems[0].label} mag/arcsec²`, label: (context) => `Count: ${context.raw}`}}},
-                scales: { x: { title: { display: true, text: 'SQM Value (mag/arcsec²)', color: '#a0a0a0' }, grid: { color: 'rgba(255, 255, 255, 0.1)' }, ticks: { color: '#a0a0a0', autoSkip: true, maxTicksLimit: 15 }}, y: { title: { display: true, text: 'Measurement Count', color: '#a0a0a0' }, grid: { color: 'rgba(255, 255, 255, 0.1)' }, ticks: { color: '#a0a0a0', precision: 0 }, beginAtZero: true }}
+                plugins: { legend: { display: isComparison, labels: { color: '#a0a0a0' } }, tooltip: { callbacks: { title: (tooltipItems) => `SQM Range: ${tooltipItems[0].label} mag/arcsec²`, label: (context) => (normalize ? `${context.dataset.label}: ${context.raw.toFixed(1)}%` : `Count: ${context.raw}`)}}},
+                scales: { x: { title: { display: true, text: 'SQM Value (mag/arcsec²)', color: '#a0a0a0' }, grid: { color: 'rgba(255, 255, 255, 0.1)' }, ticks: { color: '#a0a0a0', autoSkip: true, maxTicksLimit: 15 }}, y: { title: { display: true, text: yTitle, color: '#a0a0a0' }, grid: { color: 'rgba(255, 255, 255, 0.1)' }, ticks: { color: '#a0a0a0', precision: 0 }, beginAtZero: true }}
             }
         });
         console.log(`VisualizationService: Histogram updated for ${canvasId}`);
         return chart;
     }
 
+    // Creates or updates a Chart.js line chart of the azimuth brightness profile
+    // from SkyArchiveLightDomeService.analyze, with the background level and
+    // detected light domes highlighted. Brighter (lower mag) is drawn higher.
+    function createAzimuthProfileChart(canvasId, analysis) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) {
+            console.error(`VisualizationService: Canvas element ${canvasId} not found.`);
+            return null;
+        }
+        const existingChart = Chart.getChart(canvasId);
+        if (existingChart) existingChart.destroy();
+        if (!analysis || analysis.profile.length === 0) {
+            console.warn("VisualizationService: No azimuth profile for chart:", canvasId);
+            return null;
+        }
+        const inDome = azimuth => analysis.domes.some(dome => {
+            const offset = ((azimuth - dome.startAzimuth) % 360 + 360) % 360;
+            return offset <= ((dome.endAzimuth - dome.startAzimuth) % 360 + 360) % 360;
+        });
+        const chart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: analysis.profile.map(bin => `${bin.azimuth}°`),
+                datasets: [{
+                    label: 'Sky brightness',
+                    data: analysis.profile.map(bin => bin.mag),
+                    borderColor: 'rgba(160, 160, 160, 1)',
+                    pointBackgroundColor: analysis.profile.map(bin => (inDome(bin.azimuth) ? '#FF8C00' : 'rgba(160, 160, 160, 1)')),
+                    pointRadius: analysis.profile.map(bin => (analysis.domes.some(dome => dome.bearing === bin.azimuth) ? 6 : 3)),
+                    tension: 0.3,
+                    spanGaps: true
+                }, {
+                    label: 'Background',
+                    data: analysis.profile.map(() => analysis.background.mag),
+                    borderColor: 'rgba(100, 150, 255, 0.8)',
+                    borderDash: [6, 4],
+                    pointRadius: 0
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: { legend: { labels: { color: '#a0a0a0' } }, tooltip: { callbacks: { label: (context) => `${context.dataset.label}: ${context.raw.toFixed(2)} mag/arcsec²` }}},
+                scales: { x: { title: { display: true, text: 'Azimuth', color: '#a0a0a0' }, grid: { color: 'rgba(255, 255, 255, 0.1)' }, ticks: { color: '#a0a0a0' }}, y: { reverse: true, title: { display: true, text: 'SQM (mag/arcsec²)', color: '#a0a0a0' }, grid: { color: 'rgba(255, 255, 255, 0.1)' }, ticks: { color: '#a0a0a0' }}}
+            }
+        });
+        console.log(`VisualizationService: Azimuth profile updated for ${canvasId}`);
+        return chart;
+    }
+
+    // Creates or updates a Chart.js line chart of session metrics over time.
+    // `sessions` are [{ date, metrics: { median, zenith, horizon } }] sorted by
+    // date. Brighter (lower mag) is drawn higher.
+    function createTimeSeriesChart(canvasId, sessions) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) {
+            console.error(`VisualizationService: Canvas element ${canvasId} not found.`);
+            return null;
+        }
+        const existingChart = Chart.getChart(canvasId);
+        if (existingChart) existingChart.destroy();
+        if (!sessions || sessions.length === 0) {
+            console.warn("VisualizationService: No sessions for time series:", canvasId);
+            return null;
+        }
+        const series = [
+            { metric: 'median', color: 'rgba(160, 160, 160, 1)' },
+            { metric: 'zenith', color: 'rgba(100, 150, 255, 1)' },
+            { metric: 'horizon', color: '#FF8C00' }
+        ];
+        const chart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: sessions.map(session => session.date),
+                datasets: series.map(s => ({
+                    label: SkyArchiveSiteService.getMetricLabel(s.metric),
+                    data: sessions.map(session => session.metrics[s.metric]),
+                    borderColor: s.color,
+                    backgroundColor: s.color,
+                    pointRadius: 5,
+                    spanGaps: true
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: { legend: { labels: { color: '#a0a0a0' } }, tooltip: { callbacks: { label: (context) => `${context.dataset.label}: ${context.raw !== null ? context.raw.toFixed(2) : 'N/A'} mag/arcsec²` }}},
+                scales: { x: { title: { display: true, text: 'Session date', color: '#a0a0a0' }, grid: { color: 'rgba(255, 255, 255, 0.1)' }, ticks: { color: '#a0a0a0' }}, y: { reverse: true, title: { display: true, text: 'SQM (mag/arcsec²)', color: '#a0a0a0' }, grid: { color: 'rgba(255, 255, 255, 0.1)' }, ticks: { color: '#a0a0a0' }}}
+            }
+        });
+        console.log(`VisualizationService: Time series updated for ${canvasId}`);
+        return chart;
+    }
+
+    // Tooltip lines for a reading's sun/moon circumstances and contamination flags.
+    function ephemerisTooltip(d) {
+        if (!d.ephemeris) return '';
+        let html = d.ephemeris.galacticLat !== null ? `<br><strong>Galactic lat:</strong> ${d.ephemeris.galacticLat.toFixed(1)}°` : '';
+        html += `<br><strong>Sun alt:</strong> ${d.ephemeris.sunAlt.toFixed(1)}°<br><strong>Moon alt:</strong> ${d.ephemeris.moonAlt.toFixed(1)}° (${Math.round(d.ephemeris.moonIllumination * 100)}% lit)`;
+        if (d.contamination && d.contamination.moon) html += '<br><strong>Moonlight contaminated</strong>';
+        if (d.contamination && d.contamination.twilight) html += '<br><strong>Twilight contaminated</strong>';
+        return html;
+    }
+
+    // Draws the interpolated brightness surface and its contour lines, clipped to the horizon circle.
+    function drawSkySurface(svg, containerId, polarData, radius, colorScale, options) {
+        const grid = SkyArchiveSkyInterpolation.interpolateGrid(polarData, options.interpolation);
+        if (!grid) return;
+        const contourStep = options.contourStep || 0.25;
+        const clipId = `${containerId}-horizon-clip`;
+        svg.append("clipPath").attr("id", clipId).append("circle").attr("r", radius);
+        const surface = svg.append("g").attr("class", "sky-surface").attr("clip-path", `url(#${clipId})`).style("pointer-events", "none");
+        const path = d3.geoPath(d3.geoIdentity().scale(2 * radius / grid.size).translate([-radius, -radius]));
+        const contours = d3.contours().size([grid.size, grid.size]);
+        // Filled bands at a fine step so the surface reads as continuous.
+        const fillThresholds = d3.range(Math.floor(grid.min * 20) / 20, grid.max, 0.05);
+        surface.append("g").selectAll("path").data(contours.thresholds(fillThresholds)(grid.values)).enter().append("path")
+            .attr("d", path).style("fill", d => colorScale(d.value)).style("stroke", "none");
+        // Contour lines at the chosen magnitude step, labelled where there is room.
+        const lineThresholds = d3.range(Math.ceil(grid.min / contourStep) * contourStep, grid.max, contourStep);
+        const lines = surface.append("g").attr("class", "sky-contours").selectAll("g").data(contours.thresholds(lineThresholds)(grid.values)).enter().append("g");
+        lines.append("path").attr("d", path).style("fill", "none").style("stroke", "rgba(255,255,255,0.55)").style("stroke-width", 0.8);
+        const longestRing = d => d3.greatest(d.coordinates.map(polygon => polygon[0]), ring => ring.length);
+        lines.filter(d => d.coordinates.length > 0 && longestRing(d).length > grid.size / 2).append("text")
+            .attr("transform", d => {
+                const ring = longestRing(d);
+                const point = ring[Math.floor(ring.length / 2)];
+                return `translate(${point[0] * 2 * radius / grid.size - radius}, ${point[1] * 2 * radius / grid.size - radius})`;
+            })
+            .style("text-anchor", "middle").style("font-size", "8px").style("fill", "rgba(255,255,255,0.85)")
+            .text(d => d.value.toFixed(2));
+    }
+
+    // Draws one polar plot per dataset in a grid sharing one colour scale.
+    // Hovering a reading highlights the same pointing in every other plot.
+    function createPolarPlotGrid(containerId, datasets, options = {}) {
+        const container = d3.select(`#${containerId}`);
+        if (!container.node()) {
+            console.error(`VisualizationService: Container ${containerId} not found for polar plot grid.`);
+            return null;
+        }
+        container.selectAll(".polar-grid-cell").remove();
+        const allReadings = datasets.reduce((all, dataset) => all.concat(dataset.polarData), []);
+        const magDomain = options.magDomain || d3.extent(allReadings, d => d.mag);
+        const cellIds = datasets.map((dataset, index) => `${containerId}-cell-${index}`);
+        const highlight = (sourceIndex, reading) => {
+            cellIds.forEach((cellId, index) => {
+                if (index === sourceIndex) return;
+                d3.select(`#${cellId}`).selectAll(".data-point circle:first-child")
+                    .attr("r", d => (reading && d.alt === reading.alt && d.azi === reading.azi ? 15 : 10))
+                    .style("stroke", d => (reading && d.alt === reading.alt && d.azi === reading.azi ? "#FFF" : "none"));
+            });
+        };
+        datasets.forEach((dataset, index) => {
+            const cell = container.append("div").attr("class", "polar-grid-cell")
+                .style("display", "inline-block").style("vertical-align", "top")
+                .style("width", `${Math.max(100 / Math.min(datasets.length, options.columns || 2), 33)}%`).style("box-sizing", "border-box");
+            cell.append("h4").style("text-align", "center").style("margin", "0.5rem 0").text(dataset.label);
+            cell.append("div").attr("id", cellIds[index]).style("position", "relative").style("height", `${options.cellHeight || 420}px`);
+            createPolarPlot(cellIds[index], dataset.polarData, dataset.locationDetails, {
+                ...options,
+                magDomain: magDomain,
+                onPointHover: reading => highlight(index, reading)
+            });
+        });
+        console.log(`VisualizationService: Polar plot grid updated for ${containerId}`);
+        return container;
+    }
+
+    // Shows or hides a polar plot layer: 'points' (the readings) or 'surface' (the interpolated map).
+    function setPolarLayerVisible(containerId, layer, visible) {
+        const selector = { points: '.polar-points', surface: '.sky-surface' }[layer];
+        if (!selector || typeof d3 === 'undefined') return;
+        d3.select(`#${containerId}`).selectAll(selector).style("display", visible ? null : "none");
+    }
+
     // Creates or updates a D3.js polar plot for spatial SQM data.
-    function createPolarPlot(containerId, polarData, locationDetails) {
+    // Options: `showCloudOverlay` (default true) rings readings that the cloud
+    // estimate marks as cloudy; `moon` ({ alt, az }) marks the moon's position;
+    // `milkyWayBand` (from SkyArchiveEphemerisService.milkyWayBand) draws the
+    // galactic plane and the edges of the band.
+    // Readings contaminated by moonlight or twilight get a gold or orange ring.
+    // `mode: 'interpolated'` fills the hemisphere with a continuous surface
+    // (SkyArchiveSkyInterpolation) and draws contour lines every
+    // `contourStep` mag (default 0.25); `showPoints: false` hides the readings.
+    // `magDomain` ([min, max]) fixes the colour scale and `onPointHover(reading | null)`
+    // reports hovering. Passing an array of { label, polarData, locationDetails }
+    // datasets instead of readings draws a synchronised small-multiples grid.
+    function createPolarPlot(containerId, polarData, locationDetails, options = {}) {
         if (typeof d3 === 'undefined') {
             console.error("VisualizationService: D3 library not loaded.");
             return null;
         }
+        if (polarData && polarData.length > 0 && Array.isArray(polarData[0].polarData)) {
+            return createPolarPlotGrid(containerId, polarData, options);
+        }
         if (!polarData || polarData.length === 0) {
             console.warn("VisualizationService: No polar data for plot:", containerId);
             const container = d3.select(`#${containerId}`);
@@ -124,10 +350,15 @@ const SkyArchiveVisualizationService = (() => {
             .append("g").attr("transform", `translate(${viewBoxWidth / 2}, ${viewBoxHeight / 2})`);
 
         const rScale = d3.scaleLinear().domain([0, 90]).range([radius, 0]);
-        const magExtent = d3.extent(polarData, d => d.mag);
+        const magExtent = options.magDomain ? options.magDomain.slice() : d3.extent(polarData, d => d.mag);
         if (magExtent[0] === magExtent[1]) { magExtent[0] -= 0.1; magExtent[1] += 0.1; } // Avoid same domain values
         const colorScale = d3.scaleSequential(d3.interpolateViridis).domain([magExtent[1], magExtent[0]]);
 
+        // Interpolated Sky Surface
+        if (options.mode === 'interpolated' && typeof SkyArchiveSkyInterpolation !== 'undefined') {
+            drawSkySurface(svg, containerId, polarData, radius, colorScale, options);
+        }
+
         // Grid, Labels, Points, Tooltip (simplified for brevity, assumes original logic is sound)
         // Radial Grid
         svg.selectAll(".radial-grid").data([0, 30, 60, 90]).enter().append("circle")
@@ -145,21 +376,57 @@ const SkyArchiveVisualizationService = (() => {
             svg.append("text").attr("transform", `translate(${ (radius + 25) * Math.cos((p.angle - 90) * Math.PI / 180)}, ${(radius + 25) * Math.sin((p.angle - 90) * Math.PI / 180)})`)
             .style("text-anchor", "middle").style("fill", "rgba(255,255,255,0.9)").style("font-size", "12px").style("font-weight", "bold").text(p.label);
         });
+        // Cloud Overlay
+        if (options.showCloudOverlay !== false) {
+            const cloudyData = polarData.filter(d => d.cloud && d.cloud.cloudy);
+            svg.append("g").attr("class", "cloud-overlay").selectAll("circle").data(cloudyData).enter().append("circle")
+                .attr("cx", d => rScale(d.alt) * Math.cos((d.azi - 90) * Math.PI / 180)).attr("cy", d => rScale(d.alt) * Math.sin((d.azi - 90) * Math.PI / 180))
+                .attr("r", 15).style("fill", "rgba(200,200,220,0.35)").style("stroke", "rgba(255,255,255,0.8)").style("stroke-dasharray", "3 2");
+        }
+        // Milky Way Band
+        if (options.milkyWayBand) {
+            const bandLine = d3.line()
+                .x(p => rScale(p.alt) * Math.cos((p.az - 90) * Math.PI / 180))
+                .y(p => rScale(p.alt) * Math.sin((p.az - 90) * Math.PI / 180))
+                .curve(d3.curveCardinal);
+            const bandGroup = svg.append("g").attr("class", "milky-way-band").style("pointer-events", "none");
+            [['north', '2 3', 0.35], ['south', '2 3', 0.35], ['center', null, 0.6]].forEach(([key, dash, opacity]) => {
+                options.milkyWayBand[key].forEach(run => {
+                    bandGroup.append("path").attr("d", bandLine(run)).style("fill", "none")
+                        .style("stroke", `rgba(190,210,255,${opacity})`).style("stroke-width", key === 'center' ? 2 : 1)
+                        .style("stroke-dasharray", dash);
+                });
+            });
+        }
+        // Moon Position (when above the horizon during the session)
+        if (options.moon && options.moon.alt > 0) {
+            const moonGroup = svg.append("g").attr("class", "moon-marker")
+                .attr("transform", `translate(${rScale(options.moon.alt) * Math.cos((options.moon.az - 90) * Math.PI / 180)}, ${rScale(options.moon.alt) * Math.sin((options.moon.az - 90) * Math.PI / 180)})`);
+            moonGroup.append("circle").attr("r", 8).style("fill", "#f5e6a8").style("stroke", "#fff").style("stroke-width", 1);
+            moonGroup.append("text").attr("y", -12).style("text-anchor", "middle").style("fill", "#f5e6a8").style("font-size", "10px").text("Moon");
+        }
         // Data Points
-        const points = svg.append("g").selectAll(".data-point").data(polarData).enter().append("g")
+        const points = svg.append("g").attr("class", "polar-points").style("display", options.showPoints === false ? "none" : null).selectAll(".data-point").data(polarData).enter().append("g")
             .attr("class", "data-point").attr("transform", d => `translate(${rScale(d.alt) * Math.cos((d.azi - 90) * Math.PI / 180)}, ${rScale(d.alt) * Math.sin((d.azi - 90) * Math.PI / 180)})`);
         points.append("circle").attr("r", 10).style("fill", d => colorScale(d.mag)).style("cursor", "pointer");
+        // Contamination Rings: gold for moonlight, orange for twilight
+        points.filter(d => d.contamination && (d.contamination.moon || d.contamination.twilight)).append("circle")
+            .attr("class", "contamination-ring").attr("r", 12.5).style("fill", "none").style("pointer-events", "none")
+            .style("stroke", d => d.contamination.moon ? "#ffd700" : "#ff8c00").style("stroke-width", 2);
         points.append("text").attr("dy", "0.35em").style("text-anchor", "middle").style("font-size", "7px").style("fill", d => d3.lab(colorScale(d.mag)).l > 60 ? "#000" : "#fff").text(d => d.mag.toFixed(1));
         // Tooltip
-        const tooltip = d3.select("body").append("div").attr("class", "d3-tooltip");
+        d3.select("body").selectAll(`.d3-tooltip[data-for="${containerId}"]`).remove(); // Left over from a previous render.
+        const tooltip = d3.select("body").append("div").attr("class", "d3-tooltip").attr("data-for", containerId);
         points.on("mouseover", (event, d) => {
             d3.select(event.currentTarget).select("circle").transition().duration(150).attr("r", 15).style("stroke", "#FFF");
-            tooltip.html(`<strong>Location:</strong> ${locationDetails.name}<br><strong>Date:</strong> ${locationDetails.date} ${d.time || ''}<br><strong>SQM:</strong> ${d.mag.toFixed(2)}<br><strong>Alt:</strong> ${d.alt.toFixed(1)}°<br><strong>Az:</strong> ${d.azi.toFixed(1)}°`)
+            tooltip.html(`<strong>Location:</strong> ${locationDetails.name}<br><strong>Date:</strong> ${locationDetails.date} ${d.time || ''}<br><strong>SQM:</strong> ${d.mag.toFixed(2)}<br><strong>Alt:</strong> ${d.alt.toFixed(1)}°<br><strong>Az:</strong> ${d.azi.toFixed(1)}°${d.cloud ? `<br><strong>Cloud:</strong> ${Math.round(d.cloud.cloudiness * 100)}% (ΔT ${d.cloud.delta.toFixed(1)}°C)` : ''}${ephemerisTooltip(d)}`)
                    .style("visibility", "visible");
+            if (options.onPointHover) options.onPointHover(d);
         }).on("mousemove", (event) => tooltip.style("top", (event.pageY + 15) + "px").style("left", (event.pageX + 15) + "px"))
           .on("mouseout", (event) => {
             d3.select(event.currentTarget).select("circle").transition().duration(150).attr("r", 10).style("stroke", "none");
             tooltip.style("visibility", "hidden");
+            if (options.onPointHover) options.onPointHover(null);
         });
 
         console.log(`VisualizationService: Polar plot updated for ${containerId}`);
@@ -168,6 +435,9 @@ const SkyArchiveVisualizationService = (() => {
 
     return {
         createHistogram: createHistogram,
-        createPolarPlot: createPolarPlot
+        createAzimuthProfileChart: createAzimuthProfileChart,
+        createTimeSeriesChart: createTimeSeriesChart,
+        createPolarPlot: createPolarPlot,
+        setPolarLayerVisible: setPolarLayerVisible
     };
 })();
@@ -0,0 +1,182 @@
+// sw.js
+// Service worker for using SkyArchive at observing sites without a network
+// connection. Registered by SkyArchiveOfflineService.init(). Caching strategy:
+//  - Saved content (sessions and map regions the user chose to keep, stored by
+//    SkyArchiveOfflineService) is served cache-first from OFFLINE_CACHE, which
+//    survives service worker updates.
+//  - The app shell (pages, scripts, styles), the manifests, the statistics
+//    index and the locales are precached on install and served network-first,
+//    so an online visit always shows the current archive.
+//  - The lowest zooms of the local fallback basemap (img/map_tiles/basemap)
+//    are put in the runtime cache on install, so the maps have a background
+//    offline.
+//  - Third-party libraries, fonts, the site's decorative images and deeper
+//    local basemap tiles are cached as they are used and served
+//    stale-while-revalidate.
+//  - Everything else (unsaved panoramas, logs and tiles) goes to the network
+//    only, so browsing never fills the device without the user asking.
+
+const VERSION = 'v1';
+const SHELL_CACHE = `skyarchive-shell-${VERSION}`;
+const RUNTIME_CACHE = `skyarchive-runtime-${VERSION}`;
+const OFFLINE_CACHE = 'skyarchive-offline';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'panorama-gallery.html',
+    'astro-gallery.html',
+    'panorama-viewer.html',
+    'data-viewer.html',
+    'site-history.html',
+    'astro-osd-viewer.html',
+    '_header.html',
+    '_footer.html',
+    'css/style.css',
+    'js/script.js',
+    'js/services/geoService.js',
+    'js/services/tileProviderService.js',
+    'js/services/sqmParser.js',
+    'js/services/qualityService.js',
+    'js/services/cloudService.js',
+    'js/services/ephemerisService.js',
+    'js/services/photometryService.js',
+    'js/services/lightDomeService.js',
+    'js/services/siteService.js',
+    'js/services/dataService.js',
+    'js/services/darknessScaleService.js',
+    'js/services/atlasService.js',
+    'js/services/surfaceInterpolationService.js',
+    'js/services/geoImportService.js',
+    'js/services/mapService.js',
+    'js/services/filterService.js',
+    'js/services/galleryService.js',
+    'js/services/uiUtils.js',
+    'js/services/visualizationService.js',
+    'js/services/skyInterpolationService.js',
+    'js/services/exportService.js',
+    'js/services/manifestService.js',
+    'js/services/offlineService.js',
+    'data/manifest.json',
+    'data/astro_manifest.json',
+    'data/sqm_stats.json',
+    'locales/en.json',
+    'locales/de.json',
+    'locales/lb.json',
+    'img/icons/site.webmanifest',
+    'img/icons/SkyArchive_logo_bright.png',
+    'img/icons/favicon.ico',
+    'img/icons/favicon-16x16.png',
+    'img/icons/favicon-32x32.png',
+    'img/icons/apple-touch-icon.png',
+    'img/icons/android-chrome-192x192.png',
+    'img/icons/android-chrome-512x512.png'
+];
+
+// Local basemap tiles precached with the shell (SkyArchiveTileProviders.PROVIDERS.local).
+const BASEMAP_PRECACHE_MAX_ZOOM = 3;
+
+function basemapTiles(maxZoom) {
+    const tiles = [];
+    for (let z = 0; z <= maxZoom; z++) {
+        for (let x = 0; x < 2 ** z; x++) {
+            for (let y = 0; y < 2 ** z; y++) tiles.push(`img/map_tiles/basemap/${z}/${x}/${y}.png`);
+        }
+    }
+    return tiles;
+}
+
+// Hosts of the libraries and fonts the pages load.
+const RUNTIME_HOSTS = [
+    'unpkg.com',
+    'cdn.jsdelivr.net',
+    'cdnjs.cloudflare.com',
+    'd3js.org',
+    'fonts.googleapis.com',
+    'fonts.gstatic.com'
+];
+
+// Same-origin folders cached as they are used.
+const RUNTIME_PATHS = ['img/backgrounds/', 'img/content/', 'img/map_tiles/'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => caches.open(RUNTIME_CACHE))
+            .then(cache => cache.addAll(basemapTiles(BASEMAP_PRECACHE_MAX_ZOOM)))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drops the shell and runtime caches of earlier versions; saved content is kept.
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('skyarchive-') && key !== OFFLINE_CACHE && key !== SHELL_CACHE && key !== RUNTIME_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+async function savedFirst(request, fallback) {
+    const saved = await caches.match(request, { cacheName: OFFLINE_CACHE });
+    return saved || fallback(request);
+}
+
+// Network-first for precached files; pages with query strings
+// (e.g. data-viewer.html?sqmFile=...) fall back to their cached page.
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const ignoreSearch = request.mode === 'navigate';
+    try {
+        const response = await fetch(request);
+        if (response.ok && await cache.match(request, { ignoreSearch: ignoreSearch })) {
+            const url = new URL(request.url);
+            url.search = '';
+            await cache.put(ignoreSearch ? url.href : request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: ignoreSearch });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    const cached = await cache.match(request);
+    const update = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+            return response;
+        });
+    if (cached) {
+        update.catch(() => {});
+        return cached;
+    }
+    return update;
+}
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    const scope = new URL(self.registration.scope);
+
+    if (url.origin === scope.origin && url.pathname.startsWith(scope.pathname)) {
+        const path = url.pathname.slice(scope.pathname.length);
+        if (RUNTIME_PATHS.some(prefix => path.startsWith(prefix))) {
+            event.respondWith(staleWhileRevalidate(request));
+        } else {
+            event.respondWith(savedFirst(request, networkFirst));
+        }
+    } else if (RUNTIME_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request));
+    } else {
+        // Map tiles: only what the user saved is available offline.
+        event.respondWith(savedFirst(request, req => fetch(req)));
+    }
+});
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+// tools/build-basemap.js
+// Builds the local low-zoom basemap (img/map_tiles/basemap) that the maps
+// fall back to when no online tile provider answers (see
+// SkyArchiveTileProviders). The tiles are a dim greyscale night-lights view
+// of the World Light Pollution atlas (img/map_overlays/LP_2024): each zoom
+// level is drawn from the atlas tiles one level deeper, so continents and
+// cities stay recognizable without any third-party data.
+//
+// Usage: node tools/build-basemap.js [--root <dir>] [--max-zoom <z>]
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const TILE_SIZE = 256;
+const SOURCE_DIR = 'img/map_overlays/LP_2024';
+const TARGET_DIR = 'img/map_tiles/basemap';
+const BACKGROUND = 24;   // Grey level of unlit ground and sea.
+const BRIGHTEST = 200;   // Grey level of the brightest atlas colour.
+
+// Parses command line arguments into options.
+function parseArgs(argv) {
+    const options = { root: path.join(__dirname, '..'), maxZoom: 4 };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--root') options.root = path.resolve(argv[++i]);
+        else if (argv[i] === '--max-zoom') options.maxZoom = parseInt(argv[++i], 10);
+        else throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+    if (!Number.isInteger(options.maxZoom) || options.maxZoom < 0 || options.maxZoom > 6) {
+        throw new Error('--max-zoom must be between 0 and 6 (the atlas goes to zoom 7).');
+    }
+    return options;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    return pa <= pb && pa <= pc ? a : (pb <= pc ? b : c);
+}
+
+// RGBA pixels of an 8-bit RGBA, non-interlaced PNG (the atlas tile format).
+function decodePng(buffer) {
+    let offset = 8;
+    let header = null;
+    const data = [];
+    while (offset < buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') header = { width: chunk.readUInt32BE(0), height: chunk.readUInt32BE(4), bitDepth: chunk[8], colorType: chunk[9], interlace: chunk[12] };
+        else if (type === 'IDAT') data.push(chunk);
+        offset += 12 + length;
+    }
+    if (!header || header.bitDepth !== 8 || header.colorType !== 6 || header.interlace !== 0) {
+        throw new Error('only 8-bit RGBA non-interlaced PNGs are supported');
+    }
+    const raw = zlib.inflateSync(Buffer.concat(data));
+    const stride = header.width * 4;
+    const pixels = Buffer.alloc(stride * header.height);
+    for (let y = 0; y < header.height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const row = y * stride;
+        for (let x = 0; x < stride; x++) {
+            const a = x >= 4 ? pixels[row + x - 4] : 0;
+            const b = y > 0 ? pixels[row - stride + x] : 0;
+            const c = x >= 4 && y > 0 ? pixels[row - stride + x - 4] : 0;
+            const predictor = [0, a, b, (a + b) >> 1, paeth(a, b, c)][filter];
+            pixels[row + x] = (line[x] + predictor) & 0xFF;
+        }
+    }
+    return { width: header.width, height: header.height, pixels: pixels };
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// 8-bit greyscale PNG of `grey` (one byte per pixel, rows of `size`).
+function encodeGreyPng(grey, size) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(size, 0);
+    header.writeUInt32BE(size, 4);
+    header[8] = 8; // bit depth
+    header[9] = 0; // greyscale
+    const raw = Buffer.alloc((size + 1) * size);
+    for (let y = 0; y < size; y++) {
+        raw[y * (size + 1)] = 1; // Sub filter: dark tiles are mostly flat.
+        for (let x = 0; x < size; x++) {
+            const left = x > 0 ? grey[y * size + x - 1] : 0;
+            raw[y * (size + 1) + 1 + x] = (grey[y * size + x] - left) & 0xFF;
+        }
+    }
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// Atlas tile pixels, or null where the atlas has no tile.
+function readAtlasTile(root, z, x, y) {
+    const file = path.join(root, SOURCE_DIR, String(z), String(x), `${y}.png`);
+    if (!fs.existsSync(file)) return null;
+    const tile = decodePng(fs.readFileSync(file));
+    if (tile.width !== TILE_SIZE || tile.height !== TILE_SIZE) throw new Error(`${file}: not a ${TILE_SIZE}px tile`);
+    return tile.pixels;
+}
+
+// Greyscale basemap tile z/x/y, averaged from its four atlas tiles at z + 1.
+function buildTile(root, z, x, y) {
+    const grey = Buffer.alloc(TILE_SIZE * TILE_SIZE, BACKGROUND);
+    const half = TILE_SIZE / 2;
+    for (let dy = 0; dy < 2; dy++) {
+        for (let dx = 0; dx < 2; dx++) {
+            const source = readAtlasTile(root, z + 1, 2 * x + dx, 2 * y + dy);
+            if (!source) continue;
+            for (let py = 0; py < half; py++) {
+                for (let px = 0; px < half; px++) {
+                    let luminance = 0;
+                    for (let sy = 0; sy < 2; sy++) {
+                        for (let sx = 0; sx < 2; sx++) {
+                            const i = ((2 * py + sy) * TILE_SIZE + 2 * px + sx) * 4;
+                            const alpha = source[i + 3] / 255;
+                            luminance += alpha * (0.2126 * source[i] + 0.7152 * source[i + 1] + 0.0722 * source[i + 2]) / 4;
+                        }
+                    }
+                    grey[(dy * half + py) * TILE_SIZE + dx * half + px] = Math.round(BACKGROUND + luminance / 255 * (BRIGHTEST - BACKGROUND));
+                }
+            }
+        }
+    }
+    return grey;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error('Usage: node tools/build-basemap.js [--root <dir>] [--max-zoom <z>]');
+        process.exit(2);
+    }
+
+    const target = path.join(options.root, TARGET_DIR);
+    fs.rmSync(target, { recursive: true, force: true });
+    let count = 0;
+    let bytes = 0;
+    for (let z = 0; z <= options.maxZoom; z++) {
+        for (let x = 0; x < 2 ** z; x++) {
+            fs.mkdirSync(path.join(target, String(z), String(x)), { recursive: true });
+            for (let y = 0; y < 2 ** z; y++) {
+                const png = encodeGreyPng(buildTile(options.root, z, x, y), TILE_SIZE);
+                fs.writeFileSync(path.join(target, String(z), String(x), `${y}.png`), png);
+                count++;
+                bytes += png.length;
+            }
+        }
+    }
+    process.stdout.write(`${TARGET_DIR}: ${count} tiles (zoom 0-${options.maxZoom}, ${Math.round(bytes / 1024)} KB) written\n`);
+}
+
+main();
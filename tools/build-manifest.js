@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+// tools/build-manifest.js
+// Builds and validates data/manifest.json and data/astro_manifest.json from
+// the archive's folder conventions:
+//   img/panoramas/<Country>/<Region>/<Locality>/<date>_<lat>N_<lon>E/PanoN/<id>_PanoN_rectilinear_{8k,preview}.jpg
+//   data/sqm_readings/<same folders>/<id>_PanoN_SQM.txt
+//   img/astrophotos/<name>{.jpg,_preview.jpg,_medium.jpg,_overlay.svg}
+//
+// Usage: node tools/build-manifest.js [--write] [--root <dir>] [--tolerance <meters>]
+//   Without --write the manifests are only checked. With --write, sessions
+//   found on disk are added and the date, coordinates and paths of existing
+//   entries are refreshed from their folders; hand-written fields (place
+//   names, camera settings) are kept and entries are never removed.
+//   Exits with status 1 when the report lists problems.
+
+const fs = require('fs');
+const path = require('path');
+
+// The services are browser scripts that find each other as globals.
+global.SkyArchiveGeoService = require('../js/services/geoService.js');
+global.SkyArchiveSqmParser = require('../js/services/sqmParser.js');
+global.SkyArchiveDataService = require('../js/services/dataService.js');
+const SkyArchiveManifestService = require('../js/services/manifestService.js');
+
+const DEFAULT_OPTIONS = {
+    root: path.join(__dirname, '..'),
+    write: false,
+    tolerance: 100              // Meters between the folder coordinates and the log's GPS before reporting a mismatch.
+};
+
+const PANORAMA_FILE = /^(.+)_(Pano\d+)_rectilinear_(8k|preview)\.jpg$/;
+const SQM_FILE = /^(.+)_(Pano\d+)_SQM\.txt$/;
+const ASTRO_FIELDS = [
+    { field: 'imageName', suffix: '.jpg' },
+    { field: 'previewName', suffix: '_preview.jpg' },
+    { field: 'mediumImageName', suffix: '_medium.jpg' },
+    { field: 'overlayImageName', suffix: '_overlay.svg' }
+];
+
+// Parses command line arguments into options.
+function parseArgs(argv) {
+    const options = { ...DEFAULT_OPTIONS };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--write') options.write = true;
+        else if (argv[i] === '--root') options.root = path.resolve(argv[++i]);
+        else if (argv[i] === '--tolerance') options.tolerance = parseFloat(argv[++i]);
+        else throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+    return options;
+}
+
+// Relative paths ('/'-separated, NFC) of every file below a directory; empty if it does not exist.
+function listFiles(dir, prefix = '') {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true }).reduce((files, dirent) => {
+        const rel = `${prefix}${dirent.name.normalize('NFC')}`;
+        if (dirent.isDirectory()) return files.concat(listFiles(path.join(dir, dirent.name), `${rel}/`));
+        return dirent.isFile() ? files.concat(rel) : files;
+    }, []);
+}
+
+// Reads a JSON manifest, or [] if it does not exist yet.
+function readManifest(file) {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+}
+
+// Writes a manifest in the repository's formatting (2-space indent, no trailing newline).
+function writeManifest(file, entries) {
+    fs.writeFileSync(file, JSON.stringify(entries, null, 2));
+}
+
+// Collects the panorama sessions on disk, keyed by "Country/Region/Locality/<id>/PanoN".
+// Files that do not follow the naming convention are reported as orphaned.
+function scanPanoramaSessions(root, issues) {
+    const sessions = new Map();
+    const sessionFor = parts => {
+        const key = parts.slice(0, 5).join('/');
+        if (!sessions.has(key)) sessions.set(key, { key: key, folders: parts.slice(0, 5), panorama: false, preview: false, sqm: false });
+        return sessions.get(key);
+    };
+    const matchSession = (parts, pattern) => {
+        const match = parts.length === 6 && pattern.exec(parts[5]);
+        return match && match[1] === parts[3] && match[2] === parts[4] ? match : null;
+    };
+
+    listFiles(path.join(root, 'img/panoramas')).forEach(rel => {
+        const parts = rel.split('/');
+        const match = matchSession(parts, PANORAMA_FILE);
+        if (!match) {
+            issues.push({ type: 'orphaned-image', file: `img/panoramas/${rel}`, message: 'does not follow the panorama naming convention' });
+            return;
+        }
+        sessionFor(parts)[match[3] === '8k' ? 'panorama' : 'preview'] = true;
+    });
+    listFiles(path.join(root, 'data/sqm_readings')).forEach(rel => {
+        const parts = rel.split('/');
+        if (!matchSession(parts, SQM_FILE)) {
+            issues.push({ type: 'unrecognised-file', file: `data/sqm_readings/${rel}`, message: 'does not follow the SQM log naming convention' });
+            return;
+        }
+        sessionFor(parts).sqm = true;
+    });
+    return Array.from(sessions.values()).sort((a, b) => a.key.localeCompare(b.key));
+}
+
+// Compares the folder coordinates of a session with the median GPS position in its log.
+function checkLogPosition(root, session, entry, options, issues) {
+    const sqmFile = entry.sqmFileUrl;
+    const parsed = SkyArchiveSqmParser.parse(fs.readFileSync(path.join(root, sqmFile), 'utf8'), sqmFile, { format: entry.sqmFormat, timeZone: entry.timeZone });
+    const position = SkyArchiveManifestService.logPosition(parsed.records);
+    if (!position) return;
+    const distance = SkyArchiveGeoService.distanceMeters(entry.latitude, entry.longitude, position.latitude, position.longitude);
+    if (distance > options.tolerance) {
+        issues.push({
+            type: 'coordinate-mismatch', file: sqmFile,
+            message: `log position ${position.latitude.toFixed(6)}, ${position.longitude.toFixed(6)} is ${Math.round(distance)} m from the folder coordinates`
+        });
+    }
+}
+
+// Builds the panorama manifest from the sessions on disk and validates it.
+function buildPanoramaManifest(root, options, issues) {
+    const manifestFile = path.join(root, 'data/manifest.json');
+    const entries = readManifest(manifestFile);
+    const sessions = scanPanoramaSessions(root, issues);
+    const normalize = url => (url || '').normalize('NFC');
+    const matched = new Set();
+    let added = 0;
+    let updated = 0;
+
+    sessions.forEach(session => {
+        const [country, region, locality, identifier, panoNum] = session.folders;
+        const label = `img/panoramas/${session.key}`;
+        if (!SkyArchiveManifestService.parseIdentifier(identifier)) {
+            issues.push({ type: 'bad-identifier', file: label, message: `"${identifier}" is not <date>_<lat>N_<lon>E` });
+            return;
+        }
+        const paths = SkyArchiveManifestService.sessionPaths(country, region, locality, identifier, panoNum);
+        if (!session.sqm) issues.push({ type: 'missing-sqm', file: paths.sqmFileUrl, message: 'session has no SQM log' });
+        if (!session.panorama) issues.push({ type: 'missing-panorama', file: paths.panoramaUrl, message: 'session has no 8k panorama' });
+        if (!session.preview) issues.push({ type: 'missing-preview', file: paths.previewUrl, message: 'session has no preview image' });
+
+        const index = entries.findIndex(entry => normalize(entry.sqmFileUrl) === paths.sqmFileUrl || normalize(entry.panoramaUrl) === paths.panoramaUrl);
+        const derived = SkyArchiveManifestService.buildEntry({
+            country: SkyArchiveManifestService.placeName(country),
+            region: SkyArchiveManifestService.placeName(region),
+            locality: SkyArchiveManifestService.placeName(locality),
+            exactIdentifier: identifier,
+            panoNum: panoNum
+        });
+        let entry;
+        if (index === -1) {
+            entry = derived;
+            entries.push(entry);
+            added++;
+        } else {
+            const existing = entries[index];
+            entry = { ...existing };
+            ['exactIdentifier', 'panoNum', 'date', 'latitude', 'longitude'].forEach(field => { entry[field] = derived[field]; });
+            Object.assign(entry, paths);
+            if (JSON.stringify(entry) !== JSON.stringify(existing)) updated++;
+            entries[index] = entry;
+        }
+        matched.add(entry);
+        if (session.sqm) checkLogPosition(root, session, entry, options, issues);
+    });
+
+    entries.filter(entry => !matched.has(entry)).forEach(entry => {
+        issues.push({ type: 'stale-entry', file: entry.sqmFileUrl || entry.panoramaUrl, message: 'manifest entry has no session folder' });
+    });
+
+    if (options.write) writeManifest(manifestFile, entries);
+    return { file: 'data/manifest.json', entries: entries.length, added: added, updated: updated };
+}
+
+// Builds the astrophoto manifest from img/astrophotos and validates it.
+function buildAstroManifest(root, options, issues) {
+    const manifestFile = path.join(root, 'data/astro_manifest.json');
+    const entries = readManifest(manifestFile);
+    const files = new Set(listFiles(path.join(root, 'img/astrophotos')).filter(name => !name.includes('/')));
+    const referenced = new Set();
+
+    entries.forEach(entry => {
+        ASTRO_FIELDS.forEach(({ field }) => {
+            if (!entry[field]) {
+                issues.push({ type: 'missing-image', file: `data/astro_manifest.json`, message: `"${entry.title}" has no ${field}` });
+                return;
+            }
+            referenced.add(entry[field]);
+            if (!files.has(entry[field])) {
+                issues.push({ type: 'missing-image', file: `img/astrophotos/${entry[field]}`, message: `${field} of "${entry.title}" not found` });
+            }
+        });
+    });
+
+    // Unreferenced files: complete sets become new entries, the rest are orphans.
+    const baseName = name => {
+        const convention = ASTRO_FIELDS.slice().reverse().find(({ suffix }) => name.endsWith(suffix));
+        return convention ? name.slice(0, -convention.suffix.length) : null;
+    };
+    const newBases = new Map();
+    Array.from(files).filter(name => !referenced.has(name)).sort().forEach(name => {
+        const base = baseName(name);
+        if (!base) {
+            issues.push({ type: 'orphaned-image', file: `img/astrophotos/${name}`, message: 'not referenced by the astro manifest' });
+            return;
+        }
+        if (!newBases.has(base)) newBases.set(base, []);
+        newBases.get(base).push(name);
+    });
+    let added = 0;
+    newBases.forEach((names, base) => {
+        const sets = ASTRO_FIELDS.map(({ field, suffix }) => ({ field: field, name: `${base}${suffix}` }));
+        if (!names.includes(`${base}_preview.jpg`) && !names.includes(`${base}_medium.jpg`)) {
+            names.forEach(name => issues.push({ type: 'orphaned-image', file: `img/astrophotos/${name}`, message: 'not referenced by the astro manifest' }));
+            return;
+        }
+        const entry = { title: base.replace(/_/g, ' '), date: '', camera: '', telescope: '' };
+        sets.forEach(({ field, name }) => {
+            entry[field] = name;
+            if (!files.has(name)) issues.push({ type: 'missing-image', file: `img/astrophotos/${name}`, message: `${field} of new entry "${entry.title}" not found` });
+        });
+        entries.push(entry);
+        added++;
+    });
+
+    if (options.write) writeManifest(manifestFile, entries);
+    return { file: 'data/astro_manifest.json', entries: entries.length, added: added, updated: 0 };
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error('Usage: node tools/build-manifest.js [--write] [--root <dir>] [--tolerance <meters>]');
+        process.exit(2);
+    }
+
+    const issues = [];
+    const summaries = [
+        buildPanoramaManifest(options.root, options, issues),
+        buildAstroManifest(options.root, options, issues)
+    ];
+
+    summaries.forEach(summary => {
+        const verb = options.write ? 'written' : 'checked';
+        console.log(`${summary.file}: ${summary.entries} entries ${verb} (${summary.added} new, ${summary.updated} updated)`);
+    });
+    if (issues.length > 0) {
+        console.log('');
+        issues.forEach(issue => console.log(`[${issue.type}] ${issue.file}: ${issue.message}`));
+        console.log(`\n${issues.length} problem(s) found.`);
+    }
+    if (!options.write && summaries.some(summary => summary.added > 0 || summary.updated > 0)) {
+        console.log('Run with --write to update the manifests.');
+    }
+    process.exit(issues.length > 0 ? 1 : 0);
+}
+
+main();
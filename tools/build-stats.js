@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+// tools/build-stats.js
+// Precomputes the statistics of every session in data/manifest.json into
+// data/sqm_stats.json, so pages show medians and percentiles without
+// downloading and parsing each SQM log. Run it after adding or changing logs.
+//
+// Usage: node tools/build-stats.js [--write] [--root <dir>]
+//   Without --write the index is only checked, as with build-manifest.js;
+//   exits with status 1 if the index is missing sessions, lists sessions no
+//   longer in the manifest, or was built from different log contents. With
+//   --write the index is rebuilt; an unchanged index is left untouched.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// The services are browser scripts that find each other as globals.
+global.SkyArchiveGeoService = require('../js/services/geoService.js');
+global.SkyArchiveSqmParser = require('../js/services/sqmParser.js');
+global.SkyArchiveQualityService = require('../js/services/qualityService.js');
+global.SkyArchiveCloudService = require('../js/services/cloudService.js');
+global.SkyArchiveEphemerisService = require('../js/services/ephemerisService.js');
+global.SkyArchivePhotometryService = require('../js/services/photometryService.js');
+global.SkyArchiveLightDomeService = require('../js/services/lightDomeService.js');
+global.SkyArchiveSiteService = require('../js/services/siteService.js');
+global.SkyArchiveDataService = require('../js/services/dataService.js');
+
+const INDEX_VERSION = SkyArchiveDataService.STATISTICS_INDEX_VERSION;
+
+// Parses command line arguments into options.
+function parseArgs(argv) {
+    const options = { root: path.join(__dirname, '..'), write: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--write') options.write = true;
+        else if (argv[i] === '--root') options.root = path.resolve(argv[++i]);
+        else throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+    return options;
+}
+
+// Short content hash of a log, used to tell whether an index entry is current.
+function hashLog(text) {
+    return crypto.createHash('sha1').update(text.replace(/\r\n/g, '\n')).digest('hex').slice(0, 12);
+}
+
+// Statistics index entries for every manifest session with a readable log.
+function buildIndex(root, manifest, problems) {
+    const sessions = {};
+    manifest.forEach(item => {
+        if (!item.sqmFileUrl) return;
+        const file = path.join(root, item.sqmFileUrl);
+        if (!fs.existsSync(file)) {
+            problems.push(`${item.sqmFileUrl}: log not found`);
+            return;
+        }
+        const text = fs.readFileSync(file, 'utf8');
+        const sqmResult = SkyArchiveDataService.processSqmText(text, item.sqmFileUrl, {
+            format: item.sqmFormat,
+            timeZone: item.timeZone,
+            site: { lat: item.latitude, lon: item.longitude }
+        });
+        sessions[item.sqmFileUrl] = { hash: hashLog(text), ...SkyArchiveDataService.summarizeSession(sqmResult) };
+    });
+    return sessions;
+}
+
+// Differences between the stored index and a freshly built one.
+function compareIndex(stored, sessions) {
+    const problems = [];
+    const storedSessions = (stored && stored.sessions) || {};
+    Object.keys(sessions).forEach(url => {
+        if (!storedSessions[url]) problems.push(`${url}: not in the index`);
+        else if (storedSessions[url].hash !== sessions[url].hash) problems.push(`${url}: log changed since the index was built`);
+    });
+    Object.keys(storedSessions).filter(url => !sessions[url]).forEach(url => problems.push(`${url}: indexed but not in the manifest`));
+    if (stored && stored.version !== INDEX_VERSION) problems.push(`index version ${stored.version} differs from ${INDEX_VERSION}`);
+    return problems;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error('Usage: node tools/build-stats.js [--write] [--root <dir>]');
+        process.exit(2);
+    }
+
+    const report = (...args) => process.stdout.write(`${args.join(' ')}\n`);
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(options.root, 'data/manifest.json'), 'utf8'));
+    const indexFile = path.join(options.root, 'data/sqm_stats.json');
+    const problems = [];
+    const sessions = buildIndex(options.root, manifest, problems);
+    const stored = fs.existsSync(indexFile) ? JSON.parse(fs.readFileSync(indexFile, 'utf8')) : null;
+    const changes = stored ? compareIndex(stored, sessions) : ['data/sqm_stats.json does not exist'];
+    const count = Object.keys(sessions).length;
+
+    if (options.write) {
+        if (changes.length > 0) {
+            fs.writeFileSync(indexFile, JSON.stringify({ version: INDEX_VERSION, sessions: sessions }, null, 2));
+            report(`data/sqm_stats.json: ${count} sessions written`);
+        } else {
+            report(`data/sqm_stats.json is up to date (${count} sessions)`);
+        }
+    } else {
+        problems.push(...changes);
+        if (changes.length > 0) problems.push('Run with --write to update data/sqm_stats.json.');
+    }
+
+    problems.forEach(problem => report(problem));
+    if (!options.write && problems.length === 0) report(`data/sqm_stats.json is up to date (${count} sessions)`);
+    process.exit(problems.length > 0 ? 1 : 0);
+}
+
+main();